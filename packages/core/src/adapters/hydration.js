@@ -0,0 +1,724 @@
+/**
+ * @fileoverview Hydrating renderer adapter
+ * Wraps a renderer adapter so that the first render of a server-rendered
+ * island binds the template to the server DOM instead of replacing it.
+ * @module front/adapters/hydration
+ */
+import { isDev, reportWarning } from '../core/errors.js';
+import { parseTemplate } from '../core/markup.js';
+import { listOf } from '../core/each.js';
+
+// Marks attribute holes in the markup of a blueprint (see blueprint())
+const MARK = '\uE000';
+
+// Content holes in the markup of a blueprint, as comments and as the text of
+// text-only elements (textarea, style, ...)
+const HOLE_COMMENT = /^front:(\d+)$/;
+const HOLE = /<!--front:(\d+)-->/;
+
+// Strings of templates that render a single value (see renderDelegate()): uhtml
+// tells lists from other values once per strings array
+const WRAP = ((strings) => strings)`${0}`;
+const WRAP_LIST = ((strings) => strings)`${0}`;
+
+/**
+ * Parsed markup of template strings, with holes marked, by strings array.
+ * @type {WeakMap<string[], DocumentFragment>}
+ */
+const blueprints = new WeakMap();
+
+/**
+ * Thrown when the server markup doesn't have the structure of the template.
+ */
+class StructureMismatch extends Error {}
+
+/**
+ * Wraps a renderer adapter so it can hydrate: the first render of an island
+ * from renderToString() walks the server DOM once, alongside the template, and
+ * binds every hole to the server nodes, so elements, focus, selection, typed
+ * values and scroll positions stay as they are. Text and attributes that
+ * differ are patched, and server nodes the template doesn't render are removed;
+ * when the structure differs, the island renders from scratch. In dev mode
+ * (see configure()), every difference is reported as an `ERR_HYDRATION_MISMATCH`
+ * warning.
+ *
+ * Later renders of the same template update the bound nodes in place. A hole
+ * whose value changes kind (a template for text, another template, a list of
+ * another length) is handed to the wrapped adapter from then on. Holes in
+ * attributes follow uhtml's attribute rules.
+ * @param {import('../core/renderer.js').RendererAdapter} adapter - Adapter to wrap
+ * @returns {import('../core/renderer.js').RendererAdapter} - Adapter with a `hydrate` function
+ * @example
+ * import { setRenderer } from '@frontjs/core';
+ * import { uhtmlAdapter } from '@frontjs/core/adapters/uhtml';
+ * import { withHydration } from '@frontjs/core/adapters/hydration';
+ *
+ * setRenderer(withHydration(uhtmlAdapter));
+ */
+export function withHydration(adapter) {
+  /** @type {WeakMap<Object, {strings: TemplateStringsArray, values: Array}>} */
+  const templates = new WeakMap();
+  /** @type {WeakMap<Node, Object>} Templates bound to server markup, by container */
+  const bound = new WeakMap();
+
+  return {
+    ...adapter,
+    html(strings, ...values) {
+      const template = adapter.html(strings, ...values);
+      templates.set(template, { strings, values });
+      return template;
+    },
+    render(container, template) {
+      const unit = bound.get(container);
+      const parts = templates.get(template);
+      if (unit && parts && parts.strings === unit.strings) {
+        updateUnit(unit, parts.values, { adapter, templates });
+        return;
+      }
+      if (unit) {
+        bound.delete(container);
+        container.replaceChildren();
+      }
+      adapter.render(container, template);
+    },
+    hydrate(container, template) {
+      const parts = templates.get(template);
+      const ctx = { adapter, templates, bound, container, mismatches: [], pending: [] };
+      try {
+        if (!parts) throw new StructureMismatch('/: not a template');
+        const cursor = { parent: container, node: container.firstChild };
+        const unit = bindUnit(parts, cursor, ctx);
+        removeRest(cursor, ctx);
+        ctx.pending.forEach((apply) => apply());
+        bound.set(container, unit);
+      } catch (error) {
+        if (!(error instanceof StructureMismatch)) throw error;
+        ctx.mismatches.push(error.message);
+        container.replaceChildren();
+        adapter.render(container, template);
+      }
+
+      if (isDev()) {
+        ctx.mismatches.forEach((mismatch) => {
+          reportWarning('ERR_HYDRATION_MISMATCH', `Hydration mismatch at ${mismatch}.`, {
+            component: container.dataset.component,
+            element: container,
+          });
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Returns the parsed markup of template strings. Content holes are comments
+ * (`<!--front:0-->`), and attribute holes are marked in the attribute value.
+ * @param {string[]} strings - Template literal strings
+ * @returns {DocumentFragment} - Blueprint
+ */
+function blueprint(strings) {
+  let content = blueprints.get(strings);
+  if (content) return content;
+  const { chunks, holes } = parseTemplate(strings);
+  let markup = chunks[0];
+  holes.forEach((hole, i) => {
+    if (hole.type === 'content') {
+      markup += `<!--front:${i}-->`;
+    } else if (hole.type === 'attribute') {
+      markup = `${markup.slice(0, markup.length - hole.cut)} ${hole.name}="${MARK}${i}${MARK}"`;
+    } else if (hole.type === 'part') {
+      markup += `${MARK}${i}${MARK}`;
+    }
+    markup += chunks[i + 1];
+  });
+  const template = document.createElement('template');
+  template.innerHTML = markup;
+  content = template.content;
+  blueprints.set(strings, content);
+  return content;
+}
+
+/**
+ * Binds a template to the server nodes at the cursor, and moves the cursor
+ * past them.
+ * @param {{strings: string[], values: Array}} parts - Template strings and values
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} ctx - Hydration state
+ * @returns {{strings: string[], values: Array, parts: Array, children: Array}} - Bound
+ * template: its parts by hole, and its top-level nodes and content parts
+ */
+function bindUnit({ strings, values }, cursor, ctx) {
+  const unit = { strings, values, parts: values.map(() => null), children: [] };
+  bindChildren(blueprint(strings).childNodes, cursor, unit, ctx, true);
+  return unit;
+}
+
+/**
+ * Binds blueprint nodes to the server nodes at the cursor.
+ * @param {NodeList} blueprintNodes - Nodes of the blueprint
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} unit - Template being bound
+ * @param {Object} ctx - Hydration state
+ * @param {boolean} top - The nodes are top-level nodes of the template
+ */
+function bindChildren(blueprintNodes, cursor, unit, ctx, top) {
+  blueprintNodes.forEach((node) => {
+    let bound = null;
+    const hole = node.nodeType === Node.COMMENT_NODE && HOLE_COMMENT.exec(node.data);
+    if (hole) {
+      const next = node.nextSibling;
+      const after = next && next.nodeType === Node.TEXT_NODE ? next.data : '';
+      bound = bindContent(unit.values[hole[1]], cursor, ctx, after);
+      unit.parts[hole[1]] = bound;
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      bound = bindElement(node, cursor, unit, ctx);
+    } else if (node.nodeType === Node.TEXT_NODE) {
+      bound = bindStaticText(node.data, cursor, ctx);
+    } else if (cursor.node && cursor.node.nodeType === node.nodeType) {
+      bound = cursor.node;
+      cursor.node = bound.nextSibling;
+    }
+    if (bound && top) unit.children.push(bound);
+  });
+}
+
+/**
+ * Binds a blueprint element, its attribute holes and its children to the
+ * server element at the cursor.
+ * @param {Element} element - Blueprint element
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} unit - Template being bound
+ * @param {Object} ctx - Hydration state
+ * @returns {Element} - Server element
+ */
+function bindElement(element, cursor, unit, ctx) {
+  const server = cursor.node;
+  const tag = element.nodeName.toLowerCase();
+  if (!server) {
+    throw new StructureMismatch(
+      `${pathOf(cursor.parent, ctx)}/${tag}: missing from the server markup`
+    );
+  }
+  if (server.nodeName !== element.nodeName) {
+    throw new StructureMismatch(
+      `${pathOf(server, ctx)}: server has ${describe(server)}, client has ${tag}`
+    );
+  }
+  cursor.node = server.nextSibling;
+
+  const { holes } = parseTemplate(unit.strings);
+  const owned = [];
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (!value.includes(MARK)) {
+      const current = server.getAttribute(name);
+      if (current !== value) {
+        mismatchAttribute(server, name, current, value, ctx);
+        ctx.pending.push(() => server.setAttribute(name, value));
+      }
+      owned.push(name);
+      return;
+    }
+    const segments = value.split(MARK);
+    if (segments.length === 3 && segments[0] === '' && segments[2] === '') {
+      const i = Number(segments[1]);
+      unit.parts[i] = bindAttribute(server, holes[i].name, unit.values[i], owned, ctx);
+    } else {
+      const part = joined(server, segments, (text) => server.setAttribute(name, text));
+      bindJoined(part, server.getAttribute(name), unit, ctx, (current) =>
+        mismatchAttribute(server, name, current, part.text(unit.values), ctx)
+      );
+      owned.push(name);
+    }
+  });
+  Array.from(server.attributes).forEach(({ name, value }) => {
+    const spread = owned.find((owner) => owner.endsWith('-') && name.startsWith(owner));
+    if (owned.includes(name) || spread || (name === 'role' && owned.includes('aria-'))) return;
+    mismatchAttribute(server, name, value, null, ctx);
+    ctx.pending.push(() => server.removeAttribute(name));
+  });
+
+  // Text-only elements (textarea, style, ...) keep their holes as text
+  const { firstChild } = element;
+  if (firstChild && firstChild.nodeType === Node.TEXT_NODE && HOLE.test(firstChild.data)) {
+    const segments = firstChild.data.split(HOLE);
+    const part = joined(server, segments, (text) => (server.textContent = text));
+    bindJoined(part, server.textContent, unit, ctx, (current) =>
+      ctx.mismatches.push(
+        `${pathOf(server, ctx)}: server text ${JSON.stringify(current)}, client text ${JSON.stringify(part.text(unit.values))}`
+      )
+    );
+    return server;
+  }
+
+  const inner = { parent: server, node: server.firstChild };
+  bindChildren(element.childNodes, inner, unit, ctx, false);
+  removeRest(inner, ctx);
+  return server;
+}
+
+/**
+ * Binds a static text node of the blueprint to the server text at the cursor.
+ * Whitespace the server markup leaves out is skipped.
+ * @param {string} text - Static text
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} ctx - Hydration state
+ * @returns {Text|null} - Server text node
+ */
+function bindStaticText(text, cursor, ctx) {
+  const server = cursor.node;
+  if (server && server.nodeType === Node.TEXT_NODE && server.data.startsWith(text)) {
+    if (server.data.length > text.length) server.splitText(text.length);
+    cursor.node = server.nextSibling;
+    return server;
+  }
+  if (text.trim() === '') return null;
+  return bindText(text, cursor, '', ctx);
+}
+
+/**
+ * Binds text to the server text at the cursor: splits it off the text that
+ * follows, or patches it when it differs. `after` (the static text after the
+ * hole) tells where differing server text ends.
+ * @param {string} text - Client text
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {string} after - Static text that follows in the template
+ * @param {Object} ctx - Hydration state
+ * @returns {Text} - Text node
+ */
+function bindText(text, cursor, after, ctx) {
+  const server = cursor.node;
+  if (server && server.nodeType === Node.TEXT_NODE && text !== '') {
+    if (!server.data.startsWith(text)) {
+      const end = after ? server.data.indexOf(after) : -1;
+      if (end !== 0) {
+        if (end > 0) server.splitText(end);
+        ctx.mismatches.push(
+          `${pathOf(server, ctx)}: server text ${JSON.stringify(server.data)}, client text ${JSON.stringify(text)}`
+        );
+        server.data = text;
+      }
+    }
+    if (server.data.startsWith(text)) {
+      if (server.data.length > text.length) server.splitText(text.length);
+      cursor.node = server.nextSibling;
+      return server;
+    }
+  }
+  // Empty values have no server markup
+  const node = document.createTextNode(text);
+  cursor.parent.insertBefore(node, server);
+  if (text.trim() !== '') {
+    ctx.mismatches.push(`${pathOf(node, ctx)}: missing from the server markup`);
+  }
+  return node;
+}
+
+/**
+ * Binds the value of a content hole to the server nodes at the cursor.
+ * Templates, arrays, each() lists, text and the server node itself (nested
+ * islands passed as slots) are bound; other values are rendered by the wrapped adapter.
+ * @param {*} value - Hole value
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} ctx - Hydration state
+ * @param {string} after - Static text that follows the hole
+ * @returns {Object} - Content part
+ */
+function bindContent(value, cursor, ctx, after) {
+  const parts = ctx.templates.get(value);
+  const list = listOf(value);
+  let part = null;
+  if (parts) {
+    part = { kind: 'template', unit: bindUnit(parts, cursor, ctx) };
+  } else if (list) {
+    part = bindList(list, value, cursor, ctx);
+  } else if (Array.isArray(value)) {
+    part = { kind: 'array', items: value.map((item) => bindContent(item, cursor, ctx, '')) };
+  } else if (isText(value)) {
+    part = { kind: 'text', node: bindText(value == null ? '' : String(value), cursor, after, ctx) };
+  } else if (value === cursor.node) {
+    part = { kind: 'node', node: value };
+    cursor.node = value.nextSibling;
+  }
+  if (part && nodesOf(part).length > 0) return part;
+
+  // Rendered once the whole template is bound
+  part = { kind: 'delegate' };
+  placeDelegate(part, cursor.parent, cursor.node);
+  ctx.pending.push(() => renderDelegate(part, value, ctx));
+  return part;
+}
+
+/**
+ * Binds an each() list to the markers and rows the server each() rendered:
+ * the list's markers take the place of the server ones and each row is bound
+ * to its server nodes, so later updates move and patch them. The rows each()
+ * rendered on the client are dropped.
+ * @param {{fragment: DocumentFragment, start: Comment, end: Comment, rows: Function}} list - each() list
+ * @param {DocumentFragment} value - Hole value, the list's fragment
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} ctx - Hydration state
+ * @returns {Object} - List part
+ */
+function bindList(list, value, cursor, ctx) {
+  const start = bindMarker('each', cursor, ctx);
+  const rows = list.rows().map((row) => {
+    const marker = bindMarker('', cursor, ctx);
+    const unit = bindUnit(ctx.templates.get(row.template), cursor, ctx);
+    return () => {
+      marker.replaceWith(row.start);
+      ctx.bound.set(row.container, unit);
+    };
+  });
+  const end = bindMarker('/each', cursor, ctx);
+  ctx.pending.push(() => {
+    start.replaceWith(list.start);
+    end.replaceWith(list.end);
+    rows.forEach((adopt) => adopt());
+    list.fragment.replaceChildren();
+  });
+  return { kind: 'list', value, start: list.start, end: list.end };
+}
+
+/**
+ * Takes the marker comment of an each() list or row at the cursor.
+ * @param {string} data - Comment text
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node, updated in place
+ * @param {Object} ctx - Hydration state
+ * @returns {Comment} - Server comment
+ */
+function bindMarker(data, cursor, ctx) {
+  const server = cursor.node;
+  if (!server || server.nodeType !== Node.COMMENT_NODE || server.data !== data) {
+    throw new StructureMismatch(
+      `${pathOf(server || cursor.parent, ctx)}: each() markers missing from the server markup`
+    );
+  }
+  cursor.node = server.nextSibling;
+  return server;
+}
+
+/**
+ * Binds an attribute hole, checking the server attribute against the value.
+ * @param {Element} element - Server element
+ * @param {string} name - Attribute name as written in the template
+ * @param {*} value - Hole value
+ * @param {string[]} owned - Attribute names the template sets, updated in place
+ * (spreads add a prefix ending in `-`)
+ * @param {Object} ctx - Hydration state
+ * @returns {{set: Function}} - Attribute part
+ */
+function bindAttribute(element, name, value, owned, ctx) {
+  const set = setter(element, name);
+  const part = { set };
+  const lower = name.toLowerCase();
+  if (lower === 'aria' || lower === 'data') {
+    owned.push(`${lower}-`);
+  } else if (name[0] === '?') {
+    owned.push(lower.slice(1));
+    const current = element.hasAttribute(lower.slice(1));
+    if (current !== !!value) {
+      mismatchAttribute(element, lower.slice(1), current ? '' : null, value ? '' : null, ctx);
+    }
+  } else if (!/^[.@]|^on|^ref$/.test(lower)) {
+    owned.push(lower);
+    const current = element.getAttribute(lower);
+    const client = value === null || value === undefined ? null : String(value);
+    if (current !== client) mismatchAttribute(element, lower, current, client, ctx);
+  }
+
+  // Keep what the user changed before hydration
+  const property = name[0] === '.' ? name.slice(1) : name;
+  const changed =
+    (property === 'value' && 'defaultValue' in element && element.value !== element.defaultValue) ||
+    (property === 'checked' && element.checked !== element.defaultChecked);
+  if (!changed) ctx.pending.push(() => set(value));
+  return part;
+}
+
+/**
+ * Binds a part made of static text and holes (a partial attribute value, or
+ * the text of a textarea), checking the server text against the values.
+ * @param {{text: Function, set: Function}} part - Joined part
+ * @param {string|null} current - Server text
+ * @param {Object} unit - Template being bound
+ * @param {Object} ctx - Hydration state
+ * @param {Function} mismatch - `(current) => void`; records a mismatch
+ */
+function bindJoined(part, current, unit, ctx, mismatch) {
+  part.indexes.forEach((i) => (unit.parts[i] = part));
+  if (current !== part.text(unit.values)) {
+    mismatch(current);
+    ctx.pending.push(() => part.set(null, unit.values));
+  }
+}
+
+/**
+ * Creates a part made of static text and holes.
+ * @param {Element} element - Server element
+ * @param {string[]} segments - Static text and hole indexes, alternating
+ * @param {Function} write - `(text) => void`; writes the joined text
+ * @returns {{indexes: number[], text: Function, set: Function}} - Joined part
+ */
+function joined(element, segments, write) {
+  const indexes = segments.filter((_, i) => i % 2 === 1).map(Number);
+  const text = (values) =>
+    segments
+      .map((segment, i) => (i % 2 === 0 ? segment : (values[segment] ?? '').toString()))
+      .join('');
+  return { indexes, text, set: (value, values) => write(text(values)) };
+}
+
+/**
+ * Returns the function that applies a hole value to an attribute, following
+ * uhtml's rules: `.prop`, `?bool`, `@event`, `aria`, `data` and `ref` holes,
+ * `on*` handler properties, and properties with a setter (`value`, ...).
+ * @param {Element} element - Server element
+ * @param {string} name - Attribute name as written in the template
+ * @returns {Function} - `(value) => void`
+ */
+function setter(element, name) {
+  if (name[0] === '.') return (value) => (element[name.slice(1)] = value);
+  if (name[0] === '?') return (value) => element.toggleAttribute(name.slice(1), !!value);
+  if (name[0] === '@') {
+    let listener = null;
+    return (value) => {
+      if (listener) element.removeEventListener(name.slice(1), ...listener);
+      listener = value ? (Array.isArray(value) ? value : [value, false]) : null;
+      if (listener) element.addEventListener(name.slice(1), ...listener);
+    };
+  }
+  if (name === 'ref') {
+    return (value) => (typeof value === 'function' ? value(element) : (value.current = element));
+  }
+  // Sets `property` (or the attribute), or removes the attribute for null and undefined
+  const assign = (property, attribute) => (value) => {
+    if (value === null || value === undefined) element.removeAttribute(attribute);
+    else if (property) element[property] = value;
+    else element.setAttribute(attribute, value);
+  };
+  if ('ownerSVGElement' in element) return assign(null, name);
+  if (name === 'aria') {
+    return (value) => {
+      for (const key in value) assign(null, key === 'role' ? key : `aria-${key}`)(value[key]);
+    };
+  }
+  if (name === 'data') {
+    return (value) => {
+      for (const key in value) {
+        if (value[key] === null || value[key] === undefined) delete element.dataset[key];
+        else element.dataset[key] = value[key];
+      }
+    };
+  }
+  if (name === 'class') return assign('className', name);
+  if (name === 'style') {
+    return (value) => {
+      if (value === null || value === undefined) element.removeAttribute(name);
+      else element.style.cssText = value;
+    };
+  }
+  if (name in element) {
+    if (name.startsWith('on')) return (value) => (element[name] = value);
+    if (hasSetter(element, name)) return assign(name, name);
+  }
+  return assign(null, name);
+}
+
+/**
+ * Tells whether a property of element has a setter.
+ * @param {Element} element - Element
+ * @param {string} property - Property name
+ * @returns {boolean} - Whether assigning the property runs a setter
+ */
+function hasSetter(element, property) {
+  for (let proto = element; proto; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+    if (descriptor) return !!descriptor.set;
+  }
+  return false;
+}
+
+/**
+ * Applies new values to a bound template.
+ * @param {Object} unit - Bound template
+ * @param {Array} values - New values
+ * @param {Object} ctx - Adapter and templates
+ */
+function updateUnit(unit, values, ctx) {
+  const previous = unit.values;
+  unit.values = values;
+  unit.parts.forEach((part, i) => {
+    if (!part || values[i] === previous[i]) return;
+    if (part.kind) updateContent(part, values[i], ctx);
+    else part.set(values[i], values);
+  });
+}
+
+/**
+ * Applies a new value to a content part: in place when it has the same kind,
+ * otherwise by rendering it with the wrapped adapter instead of the old nodes.
+ * @param {Object} part - Content part, updated in place
+ * @param {*} value - New value
+ * @param {Object} ctx - Adapter and templates
+ */
+function updateContent(part, value, ctx) {
+  // A hole that renders a list can't render anything else, and the other way around
+  if (part.kind === 'delegate' && part.list === Array.isArray(value)) {
+    renderDelegate(part, value, ctx);
+    return;
+  }
+  if (part.kind === 'text' && isText(value)) {
+    part.node.data = value == null ? '' : String(value);
+    return;
+  }
+  if (part.kind === 'node' && value === part.node) return;
+  if (part.kind === 'list' && value === part.value) return;
+  const parts = ctx.templates.get(value);
+  if (part.kind === 'template' && parts && parts.strings === part.unit.strings) {
+    updateUnit(part.unit, parts.values, ctx);
+    return;
+  }
+  if (part.kind === 'array' && Array.isArray(value) && value.length === part.items.length) {
+    part.items.forEach((item, i) => updateContent(item, value[i], ctx));
+    return;
+  }
+
+  const nodes = nodesOf(part);
+  const list = part.kind === 'list' ? part.value : null;
+  placeDelegate(part, nodes[0].parentNode, nodes[0]);
+  // A dropped list gets its rows back, to be placed again
+  if (list) list.append(...nodes);
+  else nodes.forEach((node) => node.remove());
+  renderDelegate(part, value, ctx);
+}
+
+/**
+ * Turns a part into a delegate part: two comments that the wrapped adapter
+ * renders the hole value between.
+ * @param {Object} part - Content part, updated in place
+ * @param {Node} parent - Parent node
+ * @param {Node|null} before - Node the comments go before
+ */
+function placeDelegate(part, parent, before) {
+  Object.assign(part, {
+    kind: 'delegate',
+    holder: document.createDocumentFragment(),
+    start: document.createComment(''),
+    end: document.createComment(''),
+  });
+  parent.insertBefore(part.start, before);
+  parent.insertBefore(part.end, before);
+}
+
+/**
+ * Renders the value of a delegate part with the wrapped adapter. The adapter
+ * renders a template that never changes into the part's fragment, whose nodes
+ * are then moved between the comments: later renders update them in place.
+ * @param {{holder: DocumentFragment, end: Comment, list: boolean}} part - Delegate part
+ * @param {*} value - Hole value
+ * @param {Object} ctx - Adapter and templates
+ */
+function renderDelegate(part, value, ctx) {
+  part.list = Array.isArray(value);
+  ctx.adapter.render(part.holder, ctx.adapter.html(part.list ? WRAP_LIST : WRAP, value));
+  if (part.holder.firstChild) part.end.before(part.holder);
+}
+
+/**
+ * Lists the nodes a content part currently spans.
+ * @param {Object} part - Content part
+ * @returns {Node[]} - Nodes in document order
+ */
+function nodesOf(part) {
+  if (part.kind === 'template') {
+    return part.unit.children.flatMap((child) => (child.kind ? nodesOf(child) : [child]));
+  }
+  if (part.kind === 'array') return part.items.flatMap(nodesOf);
+  if (part.kind === 'delegate' || part.kind === 'list') {
+    const nodes = [part.start];
+    for (let node = part.start; node !== part.end; node = node.nextSibling) {
+      nodes.push(node.nextSibling);
+    }
+    return nodes;
+  }
+  return [part.node];
+}
+
+/**
+ * Removes the server nodes from the cursor on: the template doesn't render them.
+ * @param {{parent: Node, node: Node|null}} cursor - Next server node
+ * @param {Object} ctx - Hydration state
+ */
+function removeRest(cursor, ctx) {
+  while (cursor.node) {
+    const node = cursor.node;
+    cursor.node = node.nextSibling;
+    if (
+      node.nodeType === Node.ELEMENT_NODE ||
+      (node.nodeType === Node.TEXT_NODE && node.data.trim() !== '')
+    ) {
+      ctx.mismatches.push(`${pathOf(node, ctx)}: not rendered by the client`);
+    }
+    node.remove();
+  }
+}
+
+/**
+ * Records an attribute that differs between the server and the client.
+ * @param {Element} element - Server element
+ * @param {string} name - Attribute name
+ * @param {string|null} server - Server value
+ * @param {string|null} client - Client value
+ * @param {Object} ctx - Hydration state
+ */
+function mismatchAttribute(element, name, server, client, ctx) {
+  ctx.mismatches.push(
+    `${pathOf(element, ctx)}: attribute "${name}" is ${JSON.stringify(server)} on the server, ${JSON.stringify(client)} on the client`
+  );
+}
+
+/**
+ * Tells whether a value renders as text.
+ * @param {*} value - Hole value
+ * @returns {boolean} - Whether the value is null, undefined or a primitive
+ */
+function isText(value) {
+  return value === null || (typeof value !== 'object' && typeof value !== 'function');
+}
+
+/**
+ * Describes where a node sits in the container, for mismatch messages:
+ * `/ul[0]/li[1]`, counting elements and runs of text.
+ * @param {Node} node - Node in the container
+ * @param {{container: Node}} ctx - Hydration state
+ * @returns {string} - Path
+ */
+function pathOf(node, ctx) {
+  let path = '';
+  for (; node && node !== ctx.container; node = node.parentNode) {
+    let index = 0;
+    let text = false;
+    for (let sibling = node.parentNode.firstChild; sibling !== node; ) {
+      if (sibling.nodeType === Node.ELEMENT_NODE) {
+        index++;
+        text = false;
+      } else if (sibling.nodeType === Node.TEXT_NODE && sibling.data.trim() !== '') {
+        if (!text) index++;
+        text = true;
+      }
+      sibling = sibling.nextSibling;
+    }
+    if (text && node.nodeType === Node.TEXT_NODE) index--;
+    path = `/${describe(node)}[${index}]${path}`;
+  }
+  return path;
+}
+
+/**
+ * Names a node for mismatch messages.
+ * @param {Node} node - Node
+ * @returns {string} - Tag name, `#text` or `#comment`
+ */
+function describe(node) {
+  return node.nodeName.toLowerCase();
+}
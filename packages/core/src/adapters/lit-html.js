@@ -0,0 +1,31 @@
+/**
+ * @fileoverview lit-html renderer adapter
+ * Requires the optional `lit-html` peer dependency.
+ * @module front/adapters/lit-html
+ */
+import { html, render } from 'lit-html';
+import { renderTemplate } from '../core/markup.js';
+
+/**
+ * Renders front.js templates with lit-html. Bind event handlers with
+ * `@click=${fn}`: lit-html sets `onclick=${fn}` as an attribute.
+ * @type {import('../core/renderer.js').RendererAdapter}
+ * @example
+ * import { setRenderer } from '@frontjs/core';
+ * import { litHtmlAdapter } from '@frontjs/core/adapters/lit-html';
+ *
+ * setRenderer(litHtmlAdapter);
+ */
+export const litHtmlAdapter = {
+  name: 'lit-html',
+  html,
+  render(container, template) {
+    render(template, container);
+  },
+  renderToString(template) {
+    // Template results are marked with `_$litType$`
+    return template && template._$litType$
+      ? renderTemplate(template.strings, template.values, litHtmlAdapter.renderToString)
+      : '';
+  },
+};
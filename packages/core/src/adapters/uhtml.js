@@ -0,0 +1,34 @@
+/**
+ * @fileoverview uhtml renderer adapter
+ * front.js renders with uhtml when no adapter is set. This adapter also has
+ * renderToString(), so the server can render templates created through it.
+ * @module front/adapters/uhtml
+ */
+import { html, render } from 'uhtml';
+import { renderTemplate } from '../core/markup.js';
+
+/**
+ * Strings and values of the templates created through the adapter, for
+ * renderToString(): uhtml keeps its own in private fields.
+ * @type {WeakMap<Object, {strings: TemplateStringsArray, values: Array}>}
+ */
+const parts = new WeakMap();
+
+/**
+ * Renders front.js templates with uhtml. Event handlers can be bound with
+ * `onclick=${fn}` or `@click=${fn}`.
+ * @type {import('../core/renderer.js').RendererAdapter}
+ */
+export const uhtmlAdapter = {
+  name: 'uhtml',
+  html(strings, ...values) {
+    const template = html(strings, ...values);
+    parts.set(template, { strings, values });
+    return template;
+  },
+  render,
+  renderToString(template) {
+    const { strings, values } = parts.get(template) || {};
+    return strings ? renderTemplate(strings, values, uhtmlAdapter.renderToString) : '';
+  },
+};
@@ -1,158 +1,552 @@
-import { defineComponent } from './component.js';
-
-const registry = new Map();
+import { defineComponent, renderFallback } from './component.js';
+import { reportError, reportWarning } from './errors.js';
+import { createRoot } from './reactivity.js';
+import { validateWithStandardSchema, isValidComponentName } from './validation.js';
 
 /**
- * Validates data using a Standard Schema compliant validator.
- * @param {Object} schema - Standard Schema validator with ~standard property
- * @param {*} data - Data to validate
- * @param {string} context - Context string for error messages (e.g., component name)
- * @returns {{valid: boolean, value: *, issues: *}|Promise<{valid: boolean, value: *, issues: *}>} - Validation result (sync or async)
+ * Registered components by name. Lazy components (see `src/core/lazy.js`)
+ * have no `componentFn` until it is loaded: `load(island, state, props)` loads
+ * it, then mounts the island.
+ * @type {Map<string, {componentFn: Function|null, load?: Function, schema?: Object, fallback?: Function|string}>}
  */
-function validateWithStandardSchema(schema, data, context) {
-  if (!schema || !schema['~standard']) {
-    return { valid: true, value: data, issues: null };
-  }
-
-  try {
-    const result = schema['~standard'].validate(data);
-
-    // If result is a Promise, return async validation
-    if (result instanceof Promise) {
-      return result
-        .then((resolved) => {
-          if (resolved.issues) {
-            console.error(`[frontjs] Schema validation failed for "${context}":`, resolved.issues);
-            return { valid: false, value: null, issues: resolved.issues };
-          }
-          return { valid: true, value: resolved.value, issues: null };
-        })
-        .catch((err) => {
-          console.error(`[frontjs] Validator Error for "${context}":`, err);
-          return { valid: false, value: null, issues: err };
-        });
-    }
-
-    // Synchronous validation
-    if (result.issues) {
-      console.error(`[frontjs] Schema validation failed for "${context}":`, result.issues);
-      return { valid: false, value: null, issues: result.issues };
-    }
-
-    return { valid: true, value: result.value, issues: null };
-  } catch (err) {
-    console.error(`[frontjs] Validator Error for "${context}":`, err);
-    return { valid: false, value: null, issues: err };
-  }
-}
-
-/**
- * Validates that a component name is alphanumeric (with optional underscores/hyphens).
- * Prevents injection attacks via component names.
- * @param {string} name - Component name to validate
- * @returns {boolean} - True if valid, false otherwise
- */
-function isValidComponentName(name) {
-  if (!name || typeof name !== 'string') return false;
-  // Allow alphanumeric, underscores, and hyphens (common component naming patterns)
-  return /^[a-zA-Z0-9_-]+$/.test(name);
-}
+export const registry = new Map();
 
 /**
  * Registers a component function by name for hydration with optional schema validation.
+ * The component is called as `componentFn(props, { slots })`, where `slots` holds
+ * the islands nested in its markup (see hydrate()).
  * @param {string} name - Component name (must be alphanumeric)
  * @param {Function} componentFn - Component function that accepts props and returns render function
  * @param {Object} [options] - Configuration options
  * @param {Object} [options.schema] - Standard Schema compliant validator
+ * @param {Function|string} [options.fallback] - Shown when the component fails to set up
+ * or render: `(error, retry) => template`. With `@frontjs/core/fallbacks`, `'server'`
+ * restores the island's server HTML, and a `<template data-fallback>` inside an island
+ * takes precedence.
+ * @example
+ * register('Chart', Chart, {
+ *   fallback: (error, retry) => html`<p>Chart unavailable. <button onclick=${retry}>Retry</button></p>`,
+ * });
  */
 export function register(name, componentFn, options = {}) {
   if (!isValidComponentName(name)) {
-    console.error(
-      `[frontjs] Invalid component name "${name}". Component names must be alphanumeric (with optional underscores/hyphens).`
+    reportError(
+      'ERR_INVALID_NAME',
+      `Invalid component name "${name}". Component names must be alphanumeric (with optional underscores/hyphens).`,
+      { component: name }
     );
     return;
   }
   if (typeof componentFn !== 'function') {
-    console.error(`[frontjs] Component "${name}" must be a function.`);
+    reportError('ERR_INVALID_ARGUMENT', `Component "${name}" must be a function.`, {
+      component: name,
+    });
     return;
   }
   registry.set(name, {
     componentFn,
     schema: options.schema,
+    fallback: options.fallback,
   });
 }
 
+/**
+ * Island element -> hydration state. Kept off the DOM so islands carry no expandos.
+ * Status is one of:
+ * - `pending` - waiting for its `data-hydrate` trigger (`cancel` removes the listeners)
+ * - `loading` - loading its component or validating props
+ * - `hydrated` - mounted (`dispose` tears it down)
+ * - `failed` - hydration failed; the next hydrate() tries again
+ * - `unmounted` - disposed by unmount(); the next hydrate() mounts it again
+ * `children` are the islands nested in it when it started hydrating.
+ * `fallback` is the `(error, retry) => template` function shown when its component fails.
+ * @type {WeakMap<HTMLElement, {name: string, props: Object|null, status: string, cancel: Function|null, dispose: Function|null, children: HTMLElement[], fallback?: Function}>}
+ */
+export const islands = new WeakMap();
+
+/**
+ * Roots hydrate() was called on, which hydrate islands streamed in later by
+ * renderToStream() (announced with a bubbling `front:streamed` event).
+ */
+const streamRoots = new WeakSet();
+
+/**
+ * Set by the optional entries that change how islands hydrate:
+ * - `defer(island)` - `@frontjs/core/strategies` (see `src/core/strategies.js`):
+ *   makes an island wait for its `data-hydrate` trigger and returns its report
+ *   entry, or returns undefined to hydrate it now
+ * - `readProps(island, name)` - `@frontjs/core/props` (see `src/core/props.js`):
+ *   reads the props of islands without `data-props` from JSON scripts
+ * - `watchProps(island, name, schema, props)` - `@frontjs/core/props`: returns
+ *   the props passed to the component, kept in sync with the island's markup
+ * - `fallback(island, fallback)` - `@frontjs/core/fallbacks` (see `src/core/fallbacks.js`):
+ *   returns the fallback of an island, which may come from its markup
+ * @type {{defer: Function|null, readProps: Function|null, watchProps: Function|null, fallback: Function|null}}
+ */
+export const hooks = { defer: null, readProps: null, watchProps: null, fallback: null };
+
+/**
+ * Parses a JSON string as props, reporting invalid JSON.
+ * @param {string} json - JSON text
+ * @param {string} name - Component name (for error messages)
+ * @param {HTMLElement} island - Island element (for error messages)
+ * @returns {{valid: boolean, value: *, reason?: string, error?: Error}} - Parse result
+ */
+export function parseProps(json, name, island) {
+  try {
+    return { valid: true, value: JSON.parse(json) };
+  } catch (e) {
+    reportError('ERR_PROPS_JSON', `Failed to parse props for component "${name}". Invalid JSON.`, {
+      component: name,
+      element: island,
+      cause: e,
+    });
+    return { valid: false, value: null, reason: 'Invalid JSON in props.', error: e };
+  }
+}
+
+/**
+ * Reads an island's props from its `data-props` JSON attribute. Without it,
+ * props are `{}`, unless `@frontjs/core/props` reads them from a JSON script.
+ * @param {HTMLElement} island - Island element
+ * @param {string} name - Component name (for error messages)
+ * @returns {{valid: boolean, value: *, reason?: string, error?: Error}} - Parsed props
+ */
+export function readProps(island, name) {
+  if (island.dataset.props !== undefined) {
+    return parseProps(island.dataset.props || '{}', name, island);
+  }
+  return hooks.readProps ? hooks.readProps(island, name) : { valid: true, value: {} };
+}
+
+/**
+ * Shows an island's fallback after its component failed to load or set up.
+ * Without a fallback the server HTML is left as it is. `retry()` hydrates
+ * the island again.
+ * @param {HTMLElement} island - Island element
+ * @param {*} error - The error the component failed with
+ */
+export function showFallback(island, error) {
+  const state = islands.get(island);
+  if (!state || !state.fallback) return;
+  renderFallback(island, state.fallback, error, () => hydrateIslands([island]));
+}
+
+/**
+ * Validates an island, parses its props and initializes its component.
+ * Stays synchronous unless the component is lazy or its schema validates
+ * asynchronously, so other islands are ready as soon as hydrate() returns.
+ * @param {HTMLElement} island - Island element
+ * @param {Object} state - Hydration state created by startHydration()
+ * @returns {Promise<void>|undefined} - Promise only when loading or validation is async
+ */
+function hydrateIsland(island, state) {
+  const name = island.dataset.component;
+
+  // Security: Validate component name format
+  if (!name) {
+    reportWarning('ERR_MISSING_COMPONENT', 'Island element missing "data-component" attribute.', {
+      element: island,
+    });
+    return reject(island, 'invalid', 'Missing data-component attribute.');
+  }
+
+  if (!isValidComponentName(name)) {
+    reportError(
+      'ERR_INVALID_NAME',
+      `Invalid component name "${name}" on island element. Skipping.`,
+      {
+        component: name,
+        element: island,
+      }
+    );
+    return reject(island, 'invalid', `Invalid component name "${name}".`);
+  }
+
+  // Security: Validate component existence
+  const entry = registry.get(name);
+  if (!entry) {
+    reportWarning(
+      'ERR_COMPONENT_NOT_FOUND',
+      `Component "${name}" not registered. Skipping island.`,
+      { component: name, element: island }
+    );
+    return reject(island, 'skipped', `Component "${name}" is not registered.`);
+  }
+
+  // Taken now: rendering replaces a markup fallback (see hooks.fallback)
+  const fallback = hooks.fallback ? hooks.fallback(island, entry.fallback) : entry.fallback;
+  state.fallback = typeof fallback === 'function' ? fallback : undefined;
+
+  // Security: Safe JSON parsing
+  const parsed = readProps(island, name);
+  if (!parsed.valid) return reject(island, 'invalid', parsed.reason, parsed.error);
+  const props = parsed.value;
+
+  // Lazy components load first (see `src/core/lazy.js`)
+  if (!entry.componentFn) return entry.load(island, state, props);
+  return validateAndMount(island, state, name, entry.componentFn, entry.schema, props);
+}
+
+/**
+ * Validates props against the component's schema, then mounts it.
+ * @param {HTMLElement} island - Island element
+ * @param {Object} state - Hydration state created by startHydration()
+ * @param {string} name - Component name
+ * @param {Function} componentFn - Component function
+ * @param {Object} [schema] - Standard Schema compliant validator
+ * @param {Object} props - Parsed props
+ * @returns {Promise<void>|undefined} - Promise only when validation is async
+ */
+export function validateAndMount(island, state, name, componentFn, schema, props) {
+  const done = (result) => {
+    if (islands.get(island) !== state) return undefined;
+    if (result.valid) return mount(island, state, name, componentFn, schema, result.value);
+    return reject(island, 'invalid', 'Schema validation failed.', result.issues);
+  };
+  const validation = validateWithStandardSchema(schema, props, name, island);
+  if (validation instanceof Promise) return validation.then(done);
+  return done(validation);
+}
+
+/**
+ * Runs a component's setup and renders it into the island.
+ * With `@frontjs/core/props`, object props are passed as a store that follows
+ * the island's markup (see hooks).
+ * @param {HTMLElement} island - Island element
+ * @param {Object} state - Hydration state created by startHydration()
+ * @param {string} name - Component name (for error messages)
+ * @param {Function} componentFn - Registered component function
+ * @param {Object} [schema] - Standard Schema compliant validator
+ * @param {Object} props - Validated props
+ */
+function mount(island, state, name, componentFn, schema, props) {
+  // The island may have been unmounted (and hydrated again) while its component was loading
+  if (islands.get(island) !== state || state.status !== 'loading') return;
+
+  // Initialize component inside a root, so every run and calc created during
+  // setup or rendering is disposed together with the island
+  let dispose;
+  try {
+    let reactiveProps = props;
+    const renderFn = createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      if (hooks.watchProps) reactiveProps = hooks.watchProps(island, name, schema, props);
+      const renderFn = componentFn(reactiveProps, { slots: slotsFor(state.children) });
+      if (typeof renderFn === 'function') {
+        defineComponent(renderFn, island, {
+          fallback: state.fallback,
+          // Markup from renderToString() is adopted by adapters that hydrate
+          hydrate: island.hasAttribute('data-ssr'),
+        });
+      }
+      return renderFn;
+    });
+    if (typeof renderFn !== 'function') {
+      dispose();
+      reportError('ERR_RENDER_FUNCTION', `Component "${name}" did not return a render function.`, {
+        component: name,
+        element: island,
+      });
+      reject(island, 'failed', `Component "${name}" did not return a render function.`);
+      showFallback(island, new TypeError(`Component "${name}" did not return a render function.`));
+      return;
+    }
+
+    state.status = 'hydrated';
+    state.props = reactiveProps;
+    state.dispose = dispose;
+
+    // Hydrated marker (data-island stays, so unmounted islands can be found again)
+    island.setAttribute('data-hydrated', '');
+    emit(island, 'hydrated', { name, props: reactiveProps });
+  } catch (e) {
+    if (dispose) dispose();
+    reportError('ERR_COMPONENT_SETUP', `Error initializing component "${name}".`, {
+      component: name,
+      element: island,
+      cause: e,
+    });
+    reject(island, 'failed', `Error initializing component "${name}".`, e);
+    showFallback(island, e);
+    // Continue with other islands even if one fails
+  }
+}
+
+/**
+ * Dispatches a bubbling `front:<type>` event on an island.
+ * @param {HTMLElement} island - Island element
+ * @param {string} type - Event type without the `front:` prefix
+ * @param {Object} detail - Event detail
+ */
+export function emit(island, type, detail) {
+  island.dispatchEvent(new CustomEvent(`front:${type}`, { bubbles: true, detail }));
+}
+
+/**
+ * Records why an island did not hydrate (for the hydrate() report) and
+ * dispatches `front:error` unless the island was merely skipped.
+ * @param {HTMLElement} island - Island element
+ * @param {'skipped'|'invalid'|'failed'} kind - Report category
+ * @param {string} reason - Human-readable reason
+ * @param {*} [error] - Underlying error or validation issues
+ */
+export function reject(island, kind, reason, error) {
+  const state = islands.get(island);
+  if (state) state.failure = { kind, reason, error };
+  if (kind !== 'skipped') emit(island, 'error', { name: island.dataset.component, reason, error });
+}
+
+/**
+ * Hydrates an island and tracks its state. The island stays `loading` while
+ * async work is in flight, so a second hydrate() call cannot mount it twice.
+ * @param {HTMLElement} island - Island element
+ * @returns {Promise<Object|undefined>|undefined} - Promise when hydration is async or the
+ * island has nested islands; resolves with the report of the nested islands
+ */
+export function startHydration(island) {
+  const state = {
+    name: island.dataset.component,
+    props: null,
+    status: 'loading',
+    cancel: null,
+    dispose: null,
+    failure: null,
+    // Collected before the component renders over the server markup
+    children: childIslands(island),
+  };
+  islands.set(island, state);
+  emit(island, 'hydrating', { name: state.name });
+
+  // Every path that doesn't reach a successful mount has already reported why.
+  // Nested islands hydrate once the parent has settled: inside the parent's
+  // render if they were used as slots, in place if the parent failed, and not
+  // at all if the parent's render dropped them.
+  const settle = () => {
+    if (state.status === 'loading') state.status = 'failed';
+    if (state.status === 'unmounted') return undefined;
+    const children = state.children.filter((child) => island.contains(child));
+    return children.length > 0 ? hydrateIslands(children) : undefined;
+  };
+  const result = hydrateIsland(island, state);
+  if (!(result instanceof Promise)) return settle();
+  return result.then(settle);
+}
+
+/**
+ * Returns the islands directly nested in an island (not inside a deeper island).
+ * @param {HTMLElement} island - Island element
+ * @returns {HTMLElement[]} - Nested island elements, in document order
+ */
+function childIslands(island) {
+  return Array.from(island.querySelectorAll('[data-island]')).filter(
+    (child) => child.parentElement.closest('[data-island]') === island
+  );
+}
+
+/**
+ * Builds the slots passed to a component: its nested islands keyed by
+ * `data-slot`, falling back to their `id` and then their position.
+ * @param {HTMLElement[]} children - Nested island elements
+ * @returns {Object<string, HTMLElement>} - Slot name -> island element
+ */
+function slotsFor(children) {
+  const slots = {};
+  children.forEach((child, index) => {
+    slots[child.dataset.slot || child.id || String(index)] = child;
+  });
+  return slots;
+}
+
+/**
+ * @typedef {Object} HydrationReport
+ * @property {Array<{element: HTMLElement, name: string}>} hydrated - Islands mounted by this call
+ * @property {Array<{element: HTMLElement, name: string, reason: string}>} skipped - Islands left
+ * alone: already active, deferred by `data-hydrate`, or not registered
+ * @property {Array<{element: HTMLElement, name: string, reason: string, error: *}>} invalid - Islands
+ * with a bad component name, unreadable props or props rejected by the schema
+ * @property {Array<{element: HTMLElement, name: string, reason: string, error: *}>} failed - Islands
+ * whose component failed to load, threw during setup or returned no render function
+ */
+
 /**
  * Hydrates all island components found in the DOM.
  * Supports async validation if schema returns a Promise.
  * Scans for elements with `data-island` attribute and initializes components.
+ * Hydrated islands are marked with `data-hydrated` and skipped by later calls.
+ *
+ * The `data-hydrate` attribute delays an island until its trigger fires. Islands
+ * hydrate immediately (`load`) unless `@frontjs/core/strategies` is imported,
+ * which adds:
+ * - `idle` - when the browser is idle (requestIdleCallback)
+ * - `visible` - when the island scrolls into view (IntersectionObserver)
+ * - `media` - when the query in `data-hydrate-media` matches
+ * - `interaction` - on the first pointer, focus or keyboard event inside the island
+ *
+ * Islands nested in another island hydrate after their parent has rendered. The
+ * parent receives them as `slots` (keyed by `data-slot`, `id` or position) and
+ * places them in its template; they keep their DOM node and state across parent
+ * re-renders, and unmounting the parent unmounts them.
+ *
+ * The returned promise resolves once every `load` island is hydrated (including
+ * lazy component loads and async validation); delayed islands hydrate on their own later.
+ * Each island dispatches bubbling events: `front:hydrating` when hydration starts,
+ * then `front:hydrated` (detail: name, props) or `front:error` (detail: name,
+ * reason, error), and `front:disposed` when it is unmounted.
+ *
+ * Islands that renderToStream() sends after the shell are hydrated as they
+ * arrive, whether they land before or after this call.
+ *
  * @param {HTMLElement} root - Root element to scan (defaults to document.body)
- * @returns {Promise<void>}
+ * @returns {Promise<HydrationReport>} - What happened to each island found
+ * @example
+ * const report = await hydrate();
+ * report.failed.forEach(({ name, reason }) => monitor.log(name, reason));
+ * @example
+ * <div data-island data-component="Comments" data-hydrate="visible"></div>
+ * <div data-island data-component="Sidebar" data-hydrate="media"
+ *      data-hydrate-media="(min-width: 1024px)"></div>
  */
-export async function hydrate(root = document.body) {
-  const islands = root.querySelectorAll('[data-island]');
+export function hydrate(root = document.body) {
+  if (!streamRoots.has(root)) {
+    streamRoots.add(root);
+    root.addEventListener('front:streamed', (event) => {
+      hydrateIslands(findAll(event.target, '[data-island]'));
+    });
+  }
+  return hydrateIslands(root.querySelectorAll('[data-island]'));
+}
 
-  for (const island of islands) {
-    const name = island.dataset.component;
+/**
+ * Hydrates a list of island elements (see hydrate()).
+ * @param {Iterable<HTMLElement>} elements - Island elements
+ * @returns {Promise<HydrationReport>} - What happened to each island
+ */
+export async function hydrateIslands(elements) {
+  const report = { hydrated: [], skipped: [], invalid: [], failed: [] };
+  // Islands that started hydrating, or the reason they were skipped, in document order
+  const outcomes = [];
+  const inFlight = [];
 
-    // Security: Validate component name format
-    if (!name) {
-      console.warn(`[frontjs] Island element missing "data-component" attribute.`, island);
-      continue;
-    }
+  // Nested islands are hydrated by their parent once it has rendered. Decided
+  // up front, because hydrating a parent can move or detach its children.
+  const ready = Array.from(elements).filter((island) => {
+    const parent = island.parentElement && island.parentElement.closest('[data-island]');
+    if (!parent) return true;
+    const parentState = islands.get(parent);
+    return !!parentState && (parentState.status === 'hydrated' || parentState.status === 'failed');
+  });
 
-    if (!isValidComponentName(name)) {
-      console.error(
-        `[frontjs] Invalid component name "${name}" on island element. Skipping.`,
-        island
-      );
+  for (const island of ready) {
+    // Hydrated, loading or waiting for its trigger from an earlier hydrate() call
+    const current = islands.get(island);
+    if (current && current.status !== 'failed' && current.status !== 'unmounted') {
+      outcomes.push({ element: island, name: current.name, reason: `Already ${current.status}.` });
       continue;
     }
 
-    // Security: Validate component existence
-    const entry = registry.get(name);
-    if (!entry) {
-      console.warn(`[frontjs] Component "${name}" not registered. Skipping island.`, island);
+    // Waiting for its `data-hydrate` trigger (see hooks.defer)
+    const deferred = hooks.defer && hooks.defer(island);
+    if (deferred) {
+      outcomes.push(deferred);
       continue;
     }
 
-    const { componentFn, schema } = entry;
-
-    // Security: Safe JSON parsing
-    let props = {};
-    try {
-      props = JSON.parse(island.dataset.props || '{}');
-    } catch (e) {
-      console.error(
-        `[frontjs] Failed to parse props for component "${name}". Invalid JSON.`,
-        e,
-        island
-      );
-      continue;
-    }
+    outcomes.push(island);
+    const result = startHydration(island);
+    if (result) inFlight.push(result);
+  }
 
-    // Validate schema if provided
-    const validation = validateWithStandardSchema(schema, props, name);
-    const resolved = validation instanceof Promise ? await validation : validation;
-    if (!resolved.valid) {
+  // Async islands load and validate in parallel
+  const nested = await Promise.all(inFlight);
+
+  for (const outcome of outcomes) {
+    if (!(outcome instanceof HTMLElement)) {
+      report.skipped.push(outcome);
       continue;
     }
-    props = resolved.value;
-
-    // Initialize component
-    try {
-      const renderFn = componentFn(props);
-      if (typeof renderFn !== 'function') {
-        console.error(`[frontjs] Component "${name}" did not return a render function.`, island);
-        continue;
-      }
-      defineComponent(renderFn, island);
-
-      // Cleanup marker
-      island.removeAttribute('data-island');
-    } catch (e) {
-      console.error(`[frontjs] Error initializing component "${name}".`, e, island);
-      // Continue with other islands even if one fails
+    const state = islands.get(outcome);
+    const entry = { element: outcome, name: state.name };
+    if (state.status === 'hydrated') {
+      report.hydrated.push(entry);
+    } else if (state.status === 'unmounted') {
+      report.skipped.push({ ...entry, reason: 'Unmounted while hydrating.' });
+    } else if (state.failure) {
+      const { kind, reason, error } = state.failure;
+      report[kind].push(error === undefined ? { ...entry, reason } : { ...entry, reason, error });
     }
   }
+  nested.forEach((child) => {
+    if (child) Object.keys(report).forEach((key) => report[key].push(...child[key]));
+  });
+
+  return report;
+}
+
+/**
+ * Returns the elements in a subtree (including its root) matching a selector.
+ * @param {Node} node - Subtree root
+ * @param {string} selector - CSS selector
+ * @returns {HTMLElement[]} - Matching elements
+ */
+export function findAll(node, selector) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return [];
+  const found = Array.from(node.querySelectorAll(selector));
+  if (node.matches(selector)) found.unshift(node);
+  return found;
+}
+
+/**
+ * Unmounts an island: disposes every run, calc and cleanup of a hydrated
+ * island, or stops waiting for the trigger of a deferred one. The rendered
+ * markup stays in place, and the island keeps its `data-island` attribute,
+ * so a later hydrate() mounts it again.
+ * @param {HTMLElement} element - Island element
+ * @returns {boolean} - True if the island was hydrated, loading or waiting
+ * @example
+ * unmount(document.querySelector('[data-component="Counter"]'));
+ */
+export function unmount(element) {
+  const state = element && islands.get(element);
+  if (!state || state.status === 'failed' || state.status === 'unmounted') return false;
+
+  const { cancel, dispose } = state;
+  state.status = 'unmounted';
+  state.cancel = null;
+  state.dispose = null;
+  element.removeAttribute('data-hydrated');
+
+  // Nested islands go first, like the runs a component owns
+  new Set([...state.children, ...element.querySelectorAll('[data-island]')]).forEach(unmount);
+
+  if (cancel) cancel();
+  if (dispose) dispose();
+  emit(element, 'disposed', { name: state.name });
+  return true;
+}
+
+/**
+ * Unmounts every island inside root (including root itself).
+ * @param {HTMLElement} [root=document.body] - Root element to scan
+ * @returns {number} - Number of islands unmounted
+ * @example
+ * unmountAll(document.getElementById('sidebar'));
+ */
+export function unmountAll(root = document.body) {
+  return findAll(root, '[data-island]').filter(unmount).length;
+}
+
+/**
+ * Returns the hydration state of an island.
+ * `props` are the validated props once the island is hydrated, otherwise null.
+ * @param {HTMLElement} element - Island element
+ * @returns {{name: string, props: Object|null, status: 'pending'|'loading'|'hydrated'|'failed'|'unmounted'}|null} -
+ * Island info, or null if hydrate() never saw the element
+ * @example
+ * getIsland(el); // { name: 'Counter', props: { start: 10 }, status: 'hydrated' }
+ */
+export function getIsland(element) {
+  const state = element && islands.get(element);
+  if (!state) return null;
+  return { name: state.name, props: state.props, status: state.status };
 }
@@ -1,44 +1,230 @@
-import { render } from './renderer.js';
-import { run } from './reactivity.js';
+import { reportError, reportWarning } from './errors.js';
+import { html, render, hydrateRender } from './renderer.js';
+import { val, run, untrack, onCleanup, getOwner, runWithOwner } from './reactivity.js';
+
+/**
+ * Scope (root, run or calc) -> lifecycle hooks registered in it, waiting for
+ * the defineComponent() call made in the same scope.
+ * @type {WeakMap<Object, {mount: Function[], update: Function[], unmount: Function[]}>}
+ */
+const pendingHooks = new WeakMap();
+
+/**
+ * Adds a lifecycle hook to the component being set up.
+ * @param {string} type - 'mount', 'update' or 'unmount'
+ * @param {string} hook - Hook name (for error messages)
+ * @param {Function} fn - Hook callback
+ */
+function addHook(type, hook, fn) {
+  if (typeof fn !== 'function') {
+    reportError('ERR_INVALID_ARGUMENT', `${hook}() requires a function argument.`);
+    return;
+  }
+  const owner = getOwner();
+  if (!owner) {
+    reportWarning(
+      'ERR_NO_OWNER',
+      `${hook}() called outside a component's setup function. The hook will never run.`
+    );
+    return;
+  }
+  if (!pendingHooks.has(owner)) pendingHooks.set(owner, { mount: [], update: [], unmount: [] });
+  pendingHooks.get(owner)[type].push(fn);
+}
+
+/**
+ * Calls lifecycle hooks untracked, reporting errors without stopping the others.
+ * @param {Function[]} fns - Hooks to call
+ * @param {string} hook - Hook name (for error messages)
+ * @param {HTMLElement} container - Component container, passed to each hook
+ * @returns {Array} - Return values of the hooks that did not throw
+ */
+function callHooks(fns, hook, container) {
+  const results = [];
+  fns.forEach((fn) => {
+    try {
+      results.push(untrack(() => fn(container)));
+    } catch (error) {
+      reportError('ERR_HOOK', `Error in ${hook}():`, {
+        component: container.dataset.component,
+        element: container,
+        cause: error,
+      });
+    }
+  });
+  return results;
+}
+
+/**
+ * Runs a callback once the component has rendered for the first time and its
+ * markup is in the DOM: the place to measure elements or start third-party
+ * widgets. A function returned by the callback runs when the component unmounts.
+ * Call it inside a component's setup function.
+ * @param {Function} fn - `(container) => void | cleanup`
+ * @example
+ * function Chart(props) {
+ *   let chart;
+ *   onMount((container) => {
+ *     chart = new ChartLib(container.querySelector('canvas'), props.data);
+ *     return () => chart.destroy();
+ *   });
+ *   return () => html`<canvas></canvas>`;
+ * }
+ */
+export function onMount(fn) {
+  addHook('mount', 'onMount', fn);
+}
+
+/**
+ * Runs a callback after every re-render of the component (not the first
+ * render, see onMount()), once the DOM has been updated.
+ * Call it inside a component's setup function.
+ * @param {Function} fn - `(container) => void`
+ */
+export function onUpdate(fn) {
+  addHook('update', 'onUpdate', fn);
+}
+
+/**
+ * Runs a callback when the component is disposed (its island is unmounted or
+ * the dispose function of defineComponent() is called), while its markup is
+ * still in the DOM. Call it inside a component's setup function.
+ * @param {Function} fn - `(container) => void`
+ */
+export function onUnmount(fn) {
+  addHook('unmount', 'onUnmount', fn);
+}
 
 /**
  * Defines a component by binding its render function to a run.
  * The component will automatically re-render when any values it reads change.
- * Returns a dispose function and attaches it to container._front_dispose for cleanup.
+ * Re-renders are scheduled on a microtask, so several writes in one handler
+ * produce a single render.
+ * Returns a dispose function that stops rendering.
+ * Runs and calcs created while rendering are owned by the component and disposed
+ * with it. hydrate() also wraps each island's setup in createRoot(), so disposing
+ * an island tears down the whole component tree.
+ *
+ * When the render function throws, the error is reported and `options.fallback`
+ * is rendered instead (a generic message without one). The fallback receives
+ * a `retry()` function that renders the component again; the component also
+ * recovers by itself when a value it read before failing changes.
+ *
+ * onMount(), onUpdate() and onUnmount() hooks registered in the current scope
+ * (the component's setup function) are bound to this component.
  * @param {Function} renderFn - Function that returns a uhtml template
  * @param {HTMLElement} container - DOM element to render into
+ * @param {Object} [options] - Component options
+ * @param {Function} [options.fallback] - `(error, retry) => template` rendered when renderFn throws
+ * @param {boolean} [options.hydrate] - The container holds server-rendered markup of this
+ * component: the first render adopts it (see hydrateRender())
  * @returns {Function} - Dispose function to stop rendering and cleanup runs
  * @example
  * const renderFn = () => html`<div>Hello</div>`;
  * const dispose = defineComponent(renderFn, document.getElementById('app'));
  * // Later: dispose() to cleanup
+ * @example
+ * defineComponent(renderFn, container, {
+ *   fallback: (error, retry) => html`<p>Failed to render. <button onclick=${retry}>Retry</button></p>`,
+ * });
  */
-export function defineComponent(renderFn, container) {
+export function defineComponent(renderFn, container, options = {}) {
   if (typeof renderFn !== 'function') {
-    console.error('[frontjs] defineComponent() requires a render function.');
+    reportError('ERR_INVALID_ARGUMENT', 'defineComponent() requires a render function.');
     return;
   }
 
   if (!container || !(container instanceof HTMLElement)) {
-    console.error('[frontjs] defineComponent() requires a valid DOM element container.');
+    reportError(
+      'ERR_INVALID_ARGUMENT',
+      'defineComponent() requires a valid DOM element container.'
+    );
     return;
   }
 
+  // Hooks from the setup function that ran in this scope
+  const owner = getOwner();
+  const hooks = (owner && pendingHooks.get(owner)) || { mount: [], update: [], unmount: [] };
+  if (owner) pendingHooks.delete(owner);
+  let mounted = false;
+  let hydrating = !!options.hydrate;
+
+  // Read by the render run, so retry() can force a re-render
+  const attempt = val(0);
+  const retry = () => attempt(attempt.peek() + 1);
+
   // Capture dispose function from run
-  const dispose = run(() => {
-    try {
-      const template = renderFn();
-      render(container, template);
-    } catch (error) {
-      console.error('[frontjs] Error rendering component:', error, container);
-      // Render error fallback to prevent blank UI
-      container.textContent = '[frontjs] Rendering error occurred.';
-    }
-  });
+  const disposeRun = run(
+    () => {
+      attempt();
+      try {
+        // Only the first render adopts server markup
+        const adopt = hydrating;
+        hydrating = false;
+        const template = renderFn();
+        if (adopt) hydrateRender(container, template);
+        else render(container, template);
+        if (!mounted) {
+          mounted = true;
+          // Mount hooks belong to the component, not to this render
+          runWithOwner(owner, () => {
+            callHooks(hooks.mount, 'onMount', container).forEach((cleanup) => {
+              if (typeof cleanup === 'function') hooks.unmount.push(cleanup);
+            });
+          });
+        } else {
+          callHooks(hooks.update, 'onUpdate', container);
+        }
+      } catch (error) {
+        reportError('ERR_RENDER', 'Error rendering component:', {
+          component: container.dataset.component,
+          element: container,
+          cause: error,
+        });
+        // Render error fallback to prevent blank UI
+        renderFallback(container, options.fallback, error, retry);
+      }
+    },
+    // Label names the island in cycle errors
+    { scheduler: 'microtask', label: container.dataset.component || 'defineComponent' }
+  );
 
-  // Attach to container for manual cleanup (HTMX integration, testing, etc.)
-  container._front_dispose = dispose;
+  let disposed = false;
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    disposeRun();
+    callHooks(hooks.unmount, 'onUnmount', container);
+  };
+  // Disposing the owning scope (e.g. unmounting the island) unmounts the component
+  if (owner) onCleanup(dispose);
 
-  // Return dispose for programmatic use
   return dispose;
 }
+
+/**
+ * Renders a fallback into a container after its component failed.
+ * The fallback may return a template, a string or DOM nodes. Without a
+ * fallback, or when the fallback throws too, a generic message is shown.
+ * Everything is rendered through render(), so the next successful render of
+ * the component replaces the fallback.
+ * @param {HTMLElement} container - Component container
+ * @param {Function} [fallback] - `(error, retry) => template`
+ * @param {*} error - The error the component failed with
+ * @param {Function} retry - Renders (or mounts) the component again
+ */
+export function renderFallback(container, fallback, error, retry) {
+  if (typeof fallback === 'function') {
+    try {
+      render(container, html`${fallback(error, retry)}`);
+      return;
+    } catch (fallbackError) {
+      reportError('ERR_FALLBACK', 'Error rendering fallback:', {
+        component: container.dataset.component,
+        element: container,
+        cause: fallbackError,
+      });
+    }
+  }
+  render(container, html`${'[frontjs] Rendering error occurred.'}`);
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Keyed lists
+ * each() renders lists whose rows keep their DOM nodes. It lives in its own
+ * entry, `@frontjs/core/each`, so islands without lists don't load it.
+ * @module front/each
+ */
+import { reportError, reportWarning } from './errors.js';
+import { batch, createRoot, getOwner, onCleanup, run, untrack, val } from './reactivity.js';
+import { html, listHooks, render } from './renderer.js';
+
+/**
+ * each() lists by the fragment each() returned (see listOf()), the lists each
+ * template places (its own holes and nested templates), and the lists placed in
+ * each container. Nothing else holds on to a list, so lists that are never placed
+ * are collected with their fragment.
+ * @typedef {{fragment: DocumentFragment, start: Comment, end: Comment, rows: Function}} List
+ */
+/** @type {WeakMap<DocumentFragment, List>} */
+const fragments = new WeakMap();
+/** @type {WeakMap<Object, List[]>} */
+const templateLists = new WeakMap();
+/** @type {WeakMap<Node, List[]>} */
+const placed = new WeakMap();
+
+/**
+ * Records the each() lists a template places (see listHooks in renderer.js).
+ * @param {*} template - Template object
+ * @param {Array} values - Its hole values
+ */
+function recordLists(template, values) {
+  const lists = values.flatMap(listsIn);
+  if (lists.length) templateLists.set(template, lists);
+}
+
+/**
+ * Returns the each() lists a hole value places.
+ * @param {*} value - Hole value
+ * @returns {List[]} - Lists
+ */
+function listsIn(value) {
+  if (Array.isArray(value)) return value.flatMap(listsIn);
+  const list = fragments.get(value);
+  return list ? [list] : templateLists.get(value) || [];
+}
+
+/**
+ * Runs a render into container and keeps track of the each() lists it places
+ * or drops.
+ * @param {Node} container - Container being rendered into
+ * @param {*} template - Template being rendered
+ * @param {Function} renderFn - Renders into the container
+ */
+function track(container, template, renderFn) {
+  // Lists this render may drop, e.g. when the template around them changes
+  const before = placed.get(container) || [];
+
+  renderFn();
+
+  before.forEach((list) => {
+    if (!container.contains(list.start)) unplace(list);
+  });
+  const lists = listsIn(template).filter((list) => container.contains(list.start));
+  if (lists.length) placed.set(container, lists);
+  else placed.delete(container);
+}
+
+/**
+ * Renders a keyed list whose rows keep their DOM nodes. Each key gets its own
+ * row, rendered once and then updated in place: when the list changes, rows
+ * are added, removed and moved (as few as possible) instead of re-rendered, so
+ * reordering keeps focus, input state and nodes. Each row tracks its own
+ * reads, so a change that only affects one row re-renders only that row.
+ *
+ * The row template receives accessors for the item and its index. When the
+ * list holds a new object for an existing key, `item()` returns the new one.
+ *
+ * Create the list once in the component's setup and place it in the template:
+ * the component itself doesn't re-render when the list changes. The list works
+ * with every renderer adapter: its rows sit between two comment markers, and
+ * when a render() drops the list (the template around it changes), the rows
+ * are collected back into the fragment so it can be placed again. Keep the list
+ * in its own `${}`: swapping it for another value there isn't supported. Rows are
+ * disposed with the component. Duplicate keys are reported as an
+ * `ERR_DUPLICATE_KEY` warning and their items skipped. Called while rendering
+ * (inside a run or calc), each() reports an `ERR_EACH_IN_RENDER` error and returns
+ * the row templates as a plain array, whose rows are matched by position.
+ * @param {Function} list - Returns the current array (read reactively)
+ * @param {Function} key - `(item, index) => key`, unique per item
+ * @param {Function} template - `(item, index) => template`, where both are accessors
+ * @returns {DocumentFragment|Array} - Node to place in a template
+ * @example
+ * import { each } from '@frontjs/core/each';
+ * import { store } from '@frontjs/core/store';
+ *
+ * function Todos(props) {
+ *   const [state, setState] = store({ todos: props.todos });
+ *   const rows = each(
+ *     () => state.todos,
+ *     (todo) => todo.id,
+ *     (todo) => html`<li><input .value=${todo().text} /></li>`
+ *   );
+ *   return () => html`<ul>${rows}</ul>`;
+ * }
+ */
+export function each(list, key, template) {
+  // A list created while rendering would be created again by every render
+  const owner = getOwner();
+  if (owner && owner.kind) {
+    reportError(
+      'ERR_EACH_IN_RENDER',
+      'each() was called while rendering: create the list once in the component setup. Its rows are rendered without keys.'
+    );
+    const accessor = (value) => () => value;
+    return Array.from(list() || [], (item, i) => template(accessor(item), accessor(i)));
+  }
+
+  // From now on, templates and renders keep track of the lists they place
+  listHooks.html = recordLists;
+  listHooks.track = track;
+
+  const start = document.createComment('each');
+  const end = document.createComment('/each');
+  const fragment = document.createDocumentFragment();
+  fragment.append(start, end);
+  /** @type {Map<*, {start: Comment, item: Function, index: Function, dispose: Function}>} */
+  let rows = new Map();
+  fragments.set(fragment, { fragment, start, end, rows: () => Array.from(rows.values()) });
+
+  if (owner) onCleanup(() => rows.forEach((row) => row.dispose()));
+
+  run(() => {
+    // Copying reads the length and every entry, so store arrays are tracked too
+    const items = Array.from(list() || []);
+    untrack(() => {
+      batch(() => {
+        rows = updateRows(rows, items, key, template, end);
+      });
+    });
+  });
+
+  return fragment;
+}
+
+/**
+ * Brings the rows of an each() list in line with its items.
+ * @param {Map} previous - Rows by key, in their current order
+ * @param {Array} items - New items
+ * @param {Function} key - Key function
+ * @param {Function} template - Row template
+ * @param {Comment} end - Marker after the last row
+ * @returns {Map} - Rows by key, in the new order
+ */
+function updateRows(previous, items, key, template, end) {
+  const next = new Map();
+  items.forEach((value, i) => {
+    const id = key(value, i);
+    if (next.has(id)) {
+      reportWarning('ERR_DUPLICATE_KEY', `each() got the key "${String(id)}" twice. Skipping.`);
+      return;
+    }
+    const row = previous.get(id);
+    if (row) {
+      row.item(value);
+      row.index(next.size);
+      next.set(id, row);
+    } else {
+      next.set(id, createRow(value, next.size, template));
+    }
+  });
+
+  const starts = new Set([...previous.values(), ...next.values()].map((row) => row.start));
+  previous.forEach((row, id) => {
+    if (next.has(id)) return;
+    row.dispose();
+    rowNodes(row, starts, end).forEach((node) => node.remove());
+  });
+
+  // Rows that keep their relative order stay; the others move
+  const oldIndex = new Map(Array.from(previous.values(), (row, i) => [row, i]));
+  const ordered = Array.from(next.values());
+  const stay = longestIncreasing(
+    ordered.map((row) => (oldIndex.has(row) ? oldIndex.get(row) : -1))
+  );
+
+  // Moving a node blurs it; give focus back afterwards
+  const focused = end.ownerDocument.activeElement;
+  let before = end;
+  for (let i = ordered.length - 1; i >= 0; i--) {
+    const row = ordered[i];
+    if (!stay.has(i)) {
+      const nodes = row.nodes || rowNodes(row, starts, end);
+      row.nodes = null;
+      nodes.forEach((node) => end.parentNode.insertBefore(node, before));
+    }
+    before = row.start;
+  }
+  if (focused && focused !== focused.ownerDocument.activeElement && focused.isConnected) {
+    focused.focus();
+  }
+  return next;
+}
+
+/**
+ * Renders a new each() row into a detached fragment. The row keeps the fragment
+ * it renders into and its last template, so hydration can bind them to server rows.
+ * @param {*} value - Item
+ * @param {number} position - Index in the list
+ * @param {Function} template - Row template
+ * @returns {{start: Comment, item: Function, index: Function, dispose: Function, container: DocumentFragment, template: *, nodes: Node[]}} - Row
+ */
+function createRow(value, position, template) {
+  return createRoot((dispose) => {
+    const container = document.createDocumentFragment();
+    const row = {
+      start: document.createComment(''),
+      item: val(value),
+      index: val(position),
+      dispose,
+      container,
+      template: null,
+      nodes: null,
+    };
+    // The outer template never changes, so later renders update the moved nodes in place
+    run(() => {
+      row.template = html`${template(row.item, row.index)}`;
+      render(container, row.template);
+    });
+    row.nodes = [row.start, ...container.childNodes];
+    return row;
+  });
+}
+
+/**
+ * Returns the nodes of a placed row: its marker up to the next row or the end.
+ * @param {{start: Comment}} row - Row
+ * @param {Set<Comment>} starts - Markers of every row in the list
+ * @param {Comment} end - Marker after the last row
+ * @returns {Node[]} - Row nodes
+ */
+function rowNodes(row, starts, end) {
+  const nodes = [row.start];
+  for (
+    let node = row.start.nextSibling;
+    node !== end && !starts.has(node);
+    node = node.nextSibling
+  ) {
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Returns the positions of a longest increasing run of values (ignoring -1),
+ * i.e. the rows that can stay where they are.
+ * @param {number[]} values - Previous index of each row, -1 for new rows
+ * @returns {Set<number>} - Positions that don't need to move
+ */
+function longestIncreasing(values) {
+  const tails = []; // Position of the smallest tail of each run length
+  const parents = new Array(values.length);
+  values.forEach((value, i) => {
+    if (value < 0) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    parents[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+  const stay = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = parents[i]) stay.add(i);
+  return stay;
+}
+
+/**
+ * Collects the markers and rows of a list a render dropped back into its
+ * fragment, so the next render that places the fragment shows them again.
+ * @param {List} list - Placed list
+ */
+function unplace(list) {
+  const { fragment, start, end } = list;
+  const nodes = [];
+  for (let node = start; node; node = node === end ? null : node.nextSibling) nodes.push(node);
+  fragment.append(...nodes);
+}
+
+/**
+ * Returns the each() list a node is the fragment of, for adapters that hydrate:
+ * its markers and rows are what the server each() rendered.
+ * @param {*} node - Hole value
+ * @returns {List|undefined} - List
+ */
+export function listOf(node) {
+  return fragments.get(node);
+}
@@ -0,0 +1,106 @@
+/**
+ * @typedef {Object} FrontError
+ * @property {string} code - Stable error code, e.g. `ERR_COMPONENT_NOT_FOUND`
+ * @property {string} message - Human readable description
+ * @property {string} [component] - Name of the component involved
+ * @property {HTMLElement} [element] - Island or container element involved
+ * @property {*} [cause] - Original error, or the schema issues for `ERR_SCHEMA`
+ */
+
+const defaults = {
+  onError: (error) => console.error(`[frontjs] ${error.message}`, ...details(error)),
+  onWarn: (warning) => console.warn(`[frontjs] ${warning.message}`, ...details(warning)),
+};
+
+const handlers = { ...defaults };
+
+// Development checks (e.g. hydration mismatch warnings); off with configure({ dev: false })
+let dev = true;
+
+/**
+ * Returns the cause and element of an error, for console output.
+ * @param {FrontError} error - Structured error
+ * @returns {Array} - The values that are set
+ */
+function details(error) {
+  return [error.cause, error.element].filter((value) => value !== undefined);
+}
+
+/**
+ * Replaces how front.js reports errors and warnings. By default both are
+ * logged to the console. Handlers receive a structured {@link FrontError};
+ * the framework still recovers from the failure (skips the island, keeps the
+ * previous value, ...) after calling them.
+ * Omitted handlers are left unchanged; pass `null` to restore console logging.
+ * @param {Object} options - Settings to change
+ * @param {Function|null} [options.onError] - `(error: FrontError) => void`
+ * @param {Function|null} [options.onWarn] - `(warning: FrontError) => void`
+ * @param {boolean} [options.dev] - Run development checks such as hydration mismatch
+ * warnings (on by default; turn off in production)
+ * @example
+ * configure({
+ *   onError: (error) => tracker.captureException(error.cause || new Error(error.message), {
+ *     tags: { code: error.code, component: error.component },
+ *   }),
+ * });
+ */
+export function configure(options = {}) {
+  ['onError', 'onWarn'].forEach((key) => {
+    if (!(key in options)) return;
+    const handler = options[key];
+    if (handler === null) {
+      handlers[key] = defaults[key];
+    } else if (typeof handler === 'function') {
+      handlers[key] = handler;
+    } else {
+      console.error(`[frontjs] configure() option "${key}" must be a function or null.`);
+    }
+  });
+  if ('dev' in options) dev = !!options.dev;
+}
+
+/**
+ * Returns whether development checks are enabled (see configure()).
+ * @returns {boolean} - True unless turned off with `configure({ dev: false })`
+ */
+export function isDev() {
+  return dev;
+}
+
+/**
+ * Builds a structured error and passes it to a handler. A throwing handler is
+ * logged instead of breaking the code that reported the error.
+ * @param {string} key - 'onError' or 'onWarn'
+ * @param {string} code - Error code
+ * @param {string} message - Description, without the `[frontjs]` prefix
+ * @param {Object} [context] - `{ component, element, cause }`
+ */
+function report(key, code, message, context = {}) {
+  const error = { code, message, ...context };
+  try {
+    handlers[key](error);
+  } catch (handlerError) {
+    console.error(`[frontjs] Error in ${key} handler:`, handlerError);
+    defaults[key](error);
+  }
+}
+
+/**
+ * Reports an error through the configured onError handler.
+ * @param {string} code - Error code
+ * @param {string} message - Description, without the `[frontjs]` prefix
+ * @param {Object} [context] - `{ component, element, cause }`
+ */
+export function reportError(code, message, context) {
+  report('onError', code, message, context);
+}
+
+/**
+ * Reports a warning through the configured onWarn handler.
+ * @param {string} code - Warning code
+ * @param {string} message - Description, without the `[frontjs]` prefix
+ * @param {Object} [context] - `{ component, element, cause }`
+ */
+export function reportWarning(code, message, context) {
+  report('onWarn', code, message, context);
+}
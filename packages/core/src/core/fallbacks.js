@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Markup fallbacks
+ * Importing `@frontjs/core/fallbacks` lets an island fall back to markup when
+ * its component fails: a `<template data-fallback>` inside the island, or its
+ * server HTML when the component is registered with `fallback: 'server'`.
+ * Elements with `data-retry` in the markup retry hydrating the island on click.
+ * @module front/fallbacks
+ * @example
+ * import { register } from '@frontjs/core';
+ * import '@frontjs/core/fallbacks';
+ *
+ * register('Chart', Chart, { fallback: 'server' });
+ */
+import { hooks } from './client.js';
+
+/**
+ * Island element -> markup fallback (`<template data-fallback>` content or a
+ * copy of the server HTML). Taken before the island first renders, because
+ * rendering replaces it.
+ */
+const fallbackMarkup = new WeakMap();
+
+/**
+ * Resolves the fallback of an island to a `(error, retry) => template` function.
+ * A `<template data-fallback>` child wins over the registered fallback; the
+ * `'server'` fallback restores the markup the island had before hydrating.
+ * Markup fallbacks bind `retry()` to clicks on `[data-retry]` elements.
+ * @param {HTMLElement} island - Island element
+ * @param {Function|string} [fallback] - Fallback registered with the component
+ * @returns {Function|undefined} - Fallback function, or undefined without one
+ */
+function resolveFallback(island, fallback) {
+  if (!fallbackMarkup.has(island)) {
+    const template = Array.from(island.children).find((child) =>
+      child.matches('template[data-fallback]')
+    );
+    if (template) {
+      fallbackMarkup.set(island, template.content);
+    } else if (fallback === 'server') {
+      const markup = island.ownerDocument.createDocumentFragment();
+      island.childNodes.forEach((node) => markup.appendChild(node.cloneNode(true)));
+      fallbackMarkup.set(island, markup);
+    }
+  }
+
+  const markup = fallbackMarkup.get(island);
+  if (markup) {
+    return (error, retry) => {
+      const nodes = markup.cloneNode(true);
+      nodes.querySelectorAll('[data-retry]').forEach((el) => {
+        el.addEventListener('click', () => retry());
+      });
+      return nodes;
+    };
+  }
+  return typeof fallback === 'function' ? fallback : undefined;
+}
+
+hooks.fallback = resolveFallback;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Lazy components
+ * registerLazy() registers components whose module loads the first time one
+ * of their islands hydrates. Import it from `@frontjs/core/lazy`.
+ * @module front/lazy
+ */
+import { islands, registry, reject, showFallback, validateAndMount } from './client.js';
+import { reportError } from './errors.js';
+import { isValidComponentName } from './validation.js';
+
+/**
+ * Registers a component whose module is loaded on demand. The loader runs the
+ * first time a matching island hydrates (for deferred islands: when their
+ * trigger fires), and every island of that component shares the same load.
+ * A failed or timed-out load is reported and retried by the next hydration.
+ * @param {string} name - Component name (must be alphanumeric)
+ * @param {Function} loader - Returns a promise for the module, e.g. `() => import('./Foo.js')`.
+ * The component is the module's default export, its export named `name`, or the resolved value itself.
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.schema] - Standard Schema compliant validator
+ * @param {number} [options.timeout=10000] - Milliseconds before the load is reported as failed
+ * @param {Function|string} [options.fallback] - Shown when the component fails to load, set up
+ * or render (see register())
+ * @example
+ * import { registerLazy } from '@frontjs/core/lazy';
+ *
+ * registerLazy('Comments', () => import('./components/Comments.js'));
+ */
+export function registerLazy(name, loader, options = {}) {
+  if (!isValidComponentName(name)) {
+    reportError(
+      'ERR_INVALID_NAME',
+      `Invalid component name "${name}". Component names must be alphanumeric (with optional underscores/hyphens).`,
+      { component: name }
+    );
+    return;
+  }
+  if (typeof loader !== 'function') {
+    reportError('ERR_INVALID_ARGUMENT', `Loader for component "${name}" must be a function.`, {
+      component: name,
+    });
+    return;
+  }
+  const entry = {
+    componentFn: null,
+    loader,
+    loading: null,
+    timeout: options.timeout ?? 10000,
+    schema: options.schema,
+    fallback: options.fallback,
+  };
+  entry.load = (island, state, props) =>
+    loadComponent(name, entry).then(
+      (componentFn) => validateAndMount(island, state, name, componentFn, entry.schema, props),
+      (err) => {
+        // A later hydrate() owns the island now
+        if (islands.get(island) !== state) return;
+        reportError('ERR_COMPONENT_LOAD', `Failed to load component "${name}".`, {
+          component: name,
+          element: island,
+          cause: err,
+        });
+        reject(island, 'failed', `Failed to load component "${name}".`, err);
+        showFallback(island, err);
+      }
+    );
+  registry.set(name, entry);
+}
+
+/**
+ * Loads a lazy component, sharing one in-flight load between callers.
+ * @param {string} name - Component name
+ * @param {Object} entry - Registry entry created by registerLazy()
+ * @returns {Promise<Function>} - Resolves with the component function
+ */
+function loadComponent(name, entry) {
+  if (entry.loading) return entry.loading;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Loading timed out after ${entry.timeout}ms.`)),
+      entry.timeout
+    );
+  });
+
+  entry.loading = Promise.race([new Promise((resolve) => resolve(entry.loader())), timeout])
+    .then((mod) => {
+      const componentFn = typeof mod === 'function' ? mod : mod && (mod.default || mod[name]);
+      if (typeof componentFn !== 'function') {
+        throw new Error(`Module has no default export or "${name}" export.`);
+      }
+      entry.componentFn = componentFn;
+      return componentFn;
+    })
+    .catch((err) => {
+      // Let the next hydration try again
+      entry.loading = null;
+      throw err;
+    })
+    .finally(() => clearTimeout(timer));
+
+  return entry.loading;
+}
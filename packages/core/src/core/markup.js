@@ -0,0 +1,194 @@
+/**
+ * @fileoverview HTML string rendering
+ * Serializes template strings and values to HTML the way the client renderer
+ * would render them. DOM-free, so renderer adapters can use it for their
+ * renderToString() in the browser and on the server alike.
+ */
+import { reportWarning } from './errors.js';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Attribute name, `=` and optional opening quote right before a hole inside a tag
+const ATTRIBUTE_HOLE = /\s*([^\s"'<>/=]+)\s*=\s*(["']?)$/;
+
+// Valid names for the attributes an `aria` or `data` spread produces
+const ATTRIBUTE_NAME = /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/;
+
+// Parsed templates, by strings array (see parseTemplate())
+const templates = new WeakMap();
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Serializes an interpolated value in content position.
+ * Strings and numbers are escaped; arrays are rendered item by item;
+ * null and undefined render nothing. DOM nodes and functions have no
+ * server markup and render nothing either. Other objects, such as
+ * templates, are passed to `renderObject`.
+ * @param {*} value - Template or interpolated value
+ * @param {Function} renderObject - `(object) => string`; renders templates
+ * @returns {string} - HTML
+ */
+export function toHTML(value, renderObject) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map((item) => toHTML(item, renderObject)).join('');
+  if (typeof value === 'function') return '';
+  if (typeof value === 'object') return renderObject(value);
+  return escapeHtml(value);
+}
+
+/**
+ * Serializes a hole that makes up a whole attribute, following the client
+ * renderer's attribute rules: event handlers (`onclick`, `@click`), properties
+ * (`.value`) and `ref` have no markup; `?name` is a boolean attribute; `aria`
+ * and `data` spread an object (keys that don't make a valid attribute name are
+ * skipped with a warning); null and undefined remove the attribute.
+ * @param {string} name - Attribute name as written in the template
+ * @param {*} value - Interpolated value
+ * @returns {string} - Attribute markup with a leading space, or ''
+ */
+function toAttribute(name, value) {
+  const lower = name.toLowerCase();
+  if (lower.startsWith('on') || name[0] === '@' || name[0] === '.' || lower === 'ref') return '';
+  if (name[0] === '?') return value ? ` ${name.slice(1)}` : '';
+  if ((lower === 'aria' || lower === 'data') && value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, entry]) => {
+        const attribute =
+          lower === 'aria'
+            ? key === 'role'
+              ? 'role'
+              : `aria-${key.toLowerCase()}`
+            : `data-${key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+        // Keys may come from user data; never let one break out of the tag
+        if (!ATTRIBUTE_NAME.test(attribute)) {
+          reportWarning('ERR_INVALID_ATTRIBUTE', `Skipped invalid attribute name "${attribute}".`);
+          return '';
+        }
+        return toAttribute(attribute, entry);
+      })
+      .join('');
+  }
+  if (value === null || value === undefined) return '';
+  return ` ${name}="${escapeHtml(value)}"`;
+}
+
+/**
+ * Renders template strings and values to HTML: values are escaped for the
+ * context their hole sits in (see parseTemplate()), and attribute holes follow
+ * the attribute rules. Renderer adapters use it to implement renderToString()
+ * for their templates.
+ * @param {string[]} strings - Template literal strings
+ * @param {Array} values - Interpolated values
+ * @param {Function} renderObject - `(object) => string`; renders nested
+ * templates (see toHTML())
+ * @returns {string} - HTML
+ */
+export function renderTemplate(strings, values, renderObject) {
+  const { chunks, holes } = parseTemplate(strings);
+  let out = chunks[0];
+  holes.forEach((hole, i) => {
+    const value = values[i];
+    if (hole.type === 'content') {
+      out += toHTML(value, renderObject);
+    } else if (hole.type === 'attribute') {
+      // The hole is the whole attribute value: replace `name="` with the attribute
+      out = out.slice(0, out.length - hole.cut) + toAttribute(hole.name, value);
+    } else if (hole.type === 'part') {
+      out += escapeHtml(toText(value));
+    }
+    out += chunks[i + 1];
+  });
+  return out;
+}
+
+/**
+ * Works out where each hole of a template sits. Tracks whether it falls in
+ * text, inside a tag or in a comment, over the static markup around it.
+ * Results are cached per strings array.
+ * @param {string[]} strings - Template literal strings
+ * @returns {{chunks: string[], holes: Array<{type: string|null, name?: string, cut?: number}>}} -
+ * The static markup (without the quotes around whole attribute holes), and for
+ * each hole its type: `content`, `attribute` (the whole value of attribute `name`,
+ * whose `name="` takes the last `cut` characters of the chunk before it), `part`
+ * (part of a quoted attribute value) or null (no markup: in a comment, or
+ * anywhere else inside a tag)
+ */
+export function parseTemplate(strings) {
+  let parsed = templates.get(strings);
+  if (parsed) return parsed;
+  const state = { tag: false, quote: null, comment: false };
+  parsed = { chunks: [], holes: [] };
+  let skipQuote = null; // Closing quote of an attribute hole, dropped from the next string
+
+  strings.forEach((raw, i) => {
+    let chunk = raw;
+    if (skipQuote && chunk[0] === skipQuote) chunk = chunk.slice(1);
+    skipQuote = null;
+    scan(state, chunk);
+    parsed.chunks.push(chunk);
+    if (i === strings.length - 1) return;
+
+    if (state.comment || !state.tag) {
+      parsed.holes.push({ type: state.comment ? null : 'content' });
+      return;
+    }
+    const match = ATTRIBUTE_HOLE.exec(chunk);
+    const next = strings[i + 1];
+    const quote = match ? match[2] : '';
+    const whole = match && (quote ? state.quote === quote && next[0] === quote : !state.quote);
+    if (whole) {
+      parsed.holes.push({ type: 'attribute', name: match[1], cut: match[0].length });
+      state.quote = null;
+      skipQuote = quote || null;
+    } else {
+      parsed.holes.push({ type: state.quote ? 'part' : null });
+    }
+  });
+
+  templates.set(strings, parsed);
+  return parsed;
+}
+
+/**
+ * Converts a value interpolated into part of an attribute to text.
+ * @param {*} value - Interpolated value
+ * @returns {string} - Text
+ */
+function toText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Advances the template context over static markup.
+ * @param {{tag: boolean, quote: string|null, comment: boolean}} state - Context, updated in place
+ * @param {string} chunk - Static template text
+ */
+function scan(state, chunk) {
+  for (let i = 0; i < chunk.length; i++) {
+    const char = chunk[i];
+    if (state.comment) {
+      if (chunk.startsWith('-->', i)) {
+        state.comment = false;
+        i += 2;
+      }
+    } else if (state.quote) {
+      if (char === state.quote) state.quote = null;
+    } else if (state.tag) {
+      if (char === '"' || char === "'") state.quote = char;
+      else if (char === '>') state.tag = false;
+    } else if (chunk.startsWith('<!--', i)) {
+      state.comment = true;
+      i += 3;
+    } else if (char === '<') {
+      state.tag = true;
+    }
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview DOM observation
+ * observe() hydrates islands as other libraries add them to the page and
+ * unmounts the ones they remove. Import it from `@frontjs/core/observe`.
+ * @module front/observe
+ */
+import { emit, findAll, hydrate, hydrateIslands, unmount } from './client.js';
+
+/**
+ * Hydrates the islands under root, then keeps watching it: islands added
+ * later (by HTMX, Turbo, or any other DOM update) are hydrated, and islands
+ * removed from the DOM are disposed. Islands that are only moved keep running.
+ * Since a removed island is detached, its `front:disposed` event is also
+ * dispatched on root, with the island in `detail.element`.
+ * @param {HTMLElement} [root=document.body] - Root element to watch
+ * @returns {Function} - Stops watching (already hydrated islands keep running)
+ * @example
+ * import { observe } from '@frontjs/core/observe';
+ *
+ * const stop = observe();
+ * // htmx swaps in <div data-island data-component="Counter"> - hydrated automatically
+ */
+export function observe(root = document.body) {
+  const observer = new MutationObserver((mutations) => {
+    const added = new Set();
+    for (const mutation of mutations) {
+      mutation.removedNodes.forEach((node) => {
+        // Moved nodes are removed and re-added; only dispose what really left the DOM
+        if (node.isConnected) return;
+        // front:disposed can't bubble out of the detached node, so repeat it on root
+        const forward = (event) =>
+          emit(root, 'disposed', { ...event.detail, element: event.target });
+        node.addEventListener('front:disposed', forward);
+        findAll(node, '[data-island]').forEach(unmount);
+        node.removeEventListener('front:disposed', forward);
+      });
+      mutation.addedNodes.forEach((node) => {
+        if (!node.isConnected) return;
+        findAll(node, '[data-island]').forEach((island) => added.add(island));
+      });
+    }
+    if (added.size > 0) hydrateIslands(added);
+  });
+
+  observer.observe(root, { childList: true, subtree: true });
+  hydrate(root);
+
+  return () => observer.disconnect();
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Island props sources and reactive props
+ * Importing `@frontjs/core/props` lets islands without `data-props` read their
+ * props from JSON scripts, and passes object props to components as a store
+ * that follows the island's markup: changing `data-props` or `data-props-id`
+ * re-renders what reads the changed fields.
+ * @module front/props
+ * @example
+ * import { hydrate } from '@frontjs/core';
+ * import '@frontjs/core/props';
+ *
+ * hydrate();
+ */
+import { hooks, parseProps, readProps } from './client.js';
+import { reportError } from './errors.js';
+import { onCleanup } from './reactivity.js';
+import { isWrappable, reconcile, store } from './store.js';
+import { validateWithStandardSchema } from './validation.js';
+
+/**
+ * Page-level props scripts -> parsed payload, so a payload shared by many
+ * islands is parsed once (and again only if its text changes).
+ */
+const payloads = new WeakMap();
+
+/**
+ * Checks that an element is a `<script type="application/json">` block.
+ * Other elements are never read, so props can't come from executable or visible markup.
+ * @param {Element} el - Element to check
+ * @returns {boolean} - True if el is a JSON script
+ */
+function isJsonScript(el) {
+  return el instanceof HTMLScriptElement && el.type.toLowerCase() === 'application/json';
+}
+
+/**
+ * Reads the props of an island without `data-props` from the first source it has:
+ * 1. `data-props-id` - id of a `<script type="application/json">` holding the props
+ * 2. A page-level `<script type="application/json" data-front-props>` object keyed by the island's `id`
+ * Without any source, props are `{}`.
+ * @param {HTMLElement} island - Island element
+ * @param {string} name - Component name (for error messages)
+ * @returns {{valid: boolean, value: *, reason?: string, error?: Error}} - Parsed props
+ */
+function readScripts(island, name) {
+  const doc = island.ownerDocument;
+  const propsId = island.dataset.propsId;
+  if (propsId !== undefined) {
+    const script = doc.getElementById(propsId);
+    if (!script || !isJsonScript(script)) {
+      reportError(
+        'ERR_PROPS_SOURCE',
+        `data-props-id "${propsId}" for component "${name}" must reference a <script type="application/json">.`,
+        { component: name, element: island }
+      );
+      return {
+        valid: false,
+        value: null,
+        reason: `data-props-id "${propsId}" must reference a <script type="application/json">.`,
+      };
+    }
+    return parseProps(script.textContent, name, island);
+  }
+
+  if (island.id) {
+    for (const script of doc.querySelectorAll('script[data-front-props]')) {
+      if (!isJsonScript(script)) continue;
+      let cached = payloads.get(script);
+      if (!cached || cached.text !== script.textContent) {
+        const parsed = parseProps(script.textContent, name, island);
+        if (!parsed.valid) return parsed;
+        cached = { text: script.textContent, data: parsed.value };
+        payloads.set(script, cached);
+      }
+      const data = cached.data;
+      if (
+        data &&
+        typeof data === 'object' &&
+        Object.prototype.hasOwnProperty.call(data, island.id)
+      ) {
+        return { valid: true, value: data[island.id] };
+      }
+    }
+  }
+
+  return { valid: true, value: {} };
+}
+
+/**
+ * Passes object props as a store and keeps it in sync with the island's
+ * markup. When the props attributes change, the props are re-read and
+ * re-validated, then diffed into the store, so only runs reading a changed
+ * field re-execute. Invalid updates are reported and ignored. Stops when the
+ * island is disposed.
+ * @param {HTMLElement} island - Island element
+ * @param {string} name - Component name
+ * @param {Object} [schema] - Standard Schema compliant validator
+ * @param {*} props - Validated props
+ * @returns {*} - The props store, or props that aren't an object as they are
+ */
+function watchProps(island, name, schema, props) {
+  if (!isWrappable(props)) return props;
+  const [reactiveProps, setProps] = store(props);
+  let version = 0; // Discards async validations overtaken by a newer change
+  const apply = (result) => {
+    if (result.valid && isWrappable(result.value)) setProps(reconcile(result.value));
+  };
+
+  const observer = new MutationObserver(() => {
+    const parsed = readProps(island, name);
+    if (!parsed.valid) return;
+    const id = ++version;
+    const validation = validateWithStandardSchema(schema, parsed.value, name, island);
+    if (validation instanceof Promise) {
+      validation.then((resolved) => {
+        if (id === version) apply(resolved);
+      });
+    } else {
+      apply(validation);
+    }
+  });
+  observer.observe(island, { attributes: true, attributeFilter: ['data-props', 'data-props-id'] });
+
+  onCleanup(() => {
+    version++;
+    observer.disconnect();
+  });
+  return reactiveProps;
+}
+
+hooks.readProps = readScripts;
+hooks.watchProps = watchProps;
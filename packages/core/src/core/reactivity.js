@@ -1,148 +1,631 @@
-let currentRun = null;
+import { reportError, reportWarning } from './errors.js';
+
+// Node states for the push-pull graph. Writes push CHECK/DIRTY marks down to
+// observers; reads pull, recomputing only what is actually out of date.
+const CLEAN = 0; // Value is current
+const CHECK = 1; // A calc somewhere upstream may have changed
+const DIRTY = 2; // A direct source changed, must recompute
+
+// The run or calc currently executing; reads subscribe it to what they read
+let currentObserver = null;
+// The root, run or calc that owns runs, calcs and cleanups created right now
+let currentOwner = null;
+let nextNodeId = 0;
+
+// Scheduler state: runs notified while a batch is open wait in `pending`;
+// microtask-mode runs wait in `scheduled` until the next microtask.
+let batchDepth = 0;
+let flushing = false;
+let flushingScheduled = false;
+let flushQueued = false;
+const pending = new Set();
+const scheduled = new Set();
+
+const queueTask =
+  typeof queueMicrotask === 'function' ? queueMicrotask : (fn) => Promise.resolve().then(fn);
+
+// A run re-executing more often than this within one flush is treated as a cycle
+const MAX_ITERATIONS = 100;
+
+/**
+ * Logs a cycle error naming the offending run or calc.
+ * @param {Object} node - run or calc node
+ * @param {string} reason - What the node did
+ */
+function reportCycle(node, reason) {
+  reportError('ERR_CYCLE', `Cycle detected: ${node.kind} "${node.label}" ${reason}.`);
+}
+
+/**
+ * Resolves the `equals` option of val() and calc() to a comparator.
+ * @param {Object|null} [options] - Options object passed by the caller
+ * @returns {Function} - (prev, next) => true when observers should not be notified
+ */
+function resolveEquals(options) {
+  const equals = options && options.equals;
+  if (equals === false) return () => false;
+  return typeof equals === 'function' ? equals : Object.is;
+}
+
+/**
+ * Subscribes the current observer (if any) to a source node.
+ * @param {Object} source - val or calc node
+ */
+function track(source) {
+  if (currentObserver) {
+    source.observers.add(currentObserver);
+    currentObserver.sources.add(source);
+  }
+}
+
+/**
+ * Removes a node from the observer set of every source it read.
+ * Called before each re-execution (so stale branches stop notifying) and on dispose.
+ * @param {Object} node - run or calc node with a `sources` Set
+ */
+function unsubscribe(node) {
+  node.sources.forEach((source) => source.observers.delete(node));
+  node.sources.clear();
+}
+
+/**
+ * Registers a new run or calc with the current owner so it is disposed with it.
+ * @param {Object} node - run or calc node
+ */
+function adopt(node) {
+  node.owner = currentOwner;
+  if (currentOwner) currentOwner.owned.add(node);
+}
+
+/**
+ * Disposes everything an owner created and runs its onCleanup callbacks.
+ * The owner itself stays usable; runs call this before every re-execution.
+ * @param {Object} owner - root, run or calc node
+ */
+function cleanOwned(owner) {
+  const owned = [...owner.owned];
+  owner.owned.clear();
+  owned.forEach((child) => child.dispose());
+
+  const cleanups = owner.cleanups;
+  owner.cleanups = [];
+  cleanups.forEach((fn) => {
+    try {
+      fn();
+    } catch (error) {
+      reportError('ERR_CLEANUP', 'Error in cleanup:', { cause: error });
+    }
+  });
+}
+
+/**
+ * Marks a node as possibly (CHECK) or definitely (DIRTY) out of date.
+ * Calcs forward a CHECK mark to their observers; runs are queued for execution.
+ * @param {Object} node - run or calc node
+ * @param {number} state - CHECK or DIRTY
+ */
+function markStale(node, state) {
+  if (node.state >= state) return;
+  const wasClean = node.state === CLEAN;
+  node.state = state;
+  if (!wasClean) return;
+  if (node.observers) {
+    node.observers.forEach((observer) => markStale(observer, CHECK));
+  } else {
+    enqueue(node);
+  }
+}
+
+/**
+ * Brings a node up to date. A CHECK node first refreshes its calc sources in
+ * read order and only recomputes if one of them actually changed value.
+ * @param {Object} node - run or calc node
+ */
+function refresh(node) {
+  if (node.state === CHECK) {
+    for (const source of node.sources) {
+      if (source.sources) refresh(source);
+      if (node.state === DIRTY) break;
+    }
+  }
+  const dirty = node.state === DIRTY;
+  // Clean before updating so writes made during the update mark it again
+  node.state = CLEAN;
+  if (dirty) node.update();
+}
+
+/**
+ * Executes pending runs until none are left.
+ * Runs execute in creation order, so an outer run always re-executes before
+ * the runs it created. Writes made by a run are picked up by the same loop
+ * instead of starting a nested flush. A run that keeps re-queueing itself
+ * (e.g. it writes a value it also reads) is stopped after MAX_ITERATIONS.
+ */
+function flush() {
+  if (flushing) return;
+  flushing = true;
+  const iterations = new Map();
+  try {
+    while (pending.size) {
+      const nodes = [...pending].sort((a, b) => a.id - b.id);
+      pending.clear();
+      nodes.forEach((node) => {
+        if (node.disposed) return;
+        const count = (iterations.get(node) || 0) + 1;
+        iterations.set(node, count);
+        if (count > MAX_ITERATIONS) {
+          reportCycle(
+            node,
+            `re-ran more than ${MAX_ITERATIONS} times in one flush. It probably writes a value it also reads. The run has been stopped`
+          );
+          node.dispose();
+          return;
+        }
+        try {
+          refresh(node);
+        } catch (error) {
+          reportError('ERR_RUN', 'Error in value subscriber:', { cause: error });
+          // Continue notifying other subscribers even if one fails
+        }
+      });
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * Moves microtask-mode runs into the pending queue and flushes them once.
+ * Runs marked again during this flush join it, so cycles are caught by flush().
+ */
+function flushScheduled() {
+  flushQueued = false;
+  scheduled.forEach((node) => pending.add(node));
+  scheduled.clear();
+  flushingScheduled = true;
+  try {
+    flush();
+  } finally {
+    flushingScheduled = false;
+  }
+}
+
+/**
+ * Queues a notified run according to its scheduler mode.
+ * @param {Object} node - Run node
+ */
+function enqueue(node) {
+  if (node.scheduler === 'microtask' && !flushingScheduled) {
+    scheduled.add(node);
+    if (!flushQueued) {
+      flushQueued = true;
+      queueTask(flushScheduled);
+    }
+  } else {
+    pending.add(node);
+  }
+}
 
 /**
  * Creates a reactive value that tracks dependencies and notifies subscribers on changes.
+ * Writes are compared with `Object.is` by default, so setting an equal value
+ * (including NaN again) does not notify.
  * @param {*} initialValue - Initial value for the value
+ * @param {Object} [options] - Value options
+ * @param {Function|false} [options.equals] - Custom `(prev, next) => boolean` comparator,
+ * or `false` to notify on every write
  * @returns {Function} - Value function that acts as getter/setter
  * @example
  * const count = val(0);
  * count(); // getter: returns 0
  * count(5); // setter: updates to 5
  * count.peek(); // non-reactive read
+ *
+ * const point = val({ x: 0, y: 0 }, { equals: (a, b) => a.x === b.x && a.y === b.y });
  */
-export function val(initialValue) {
-  let value = initialValue;
-  const subscribers = new Set();
+export function val(initialValue, options = {}) {
+  const equals = resolveEquals(options);
+  const node = { value: initialValue, observers: new Set() };
 
   // Signal function (kept as 's' for bundle size optimization)
   const s = (...args) => {
     // Getter: No arguments provided
     if (args.length === 0) {
-      if (currentRun) subscribers.add(currentRun);
-      return value;
+      track(node);
+      return node.value;
     }
     // Setter: Argument provided
     const newValue = args[0];
-    if (value !== newValue) {
-      value = newValue;
-      // Notify all subscribers, with error isolation
-      subscribers.forEach((fn) => {
-        try {
-          fn();
-        } catch (error) {
-          console.error('[frontjs] Error in value subscriber:', error);
-          // Continue notifying other subscribers even if one fails
-        }
-      });
+    if (!equals(node.value, newValue)) {
+      node.value = newValue;
+      // Mark every observer first; the batch runs them once it closes
+      batch(() => node.observers.forEach((observer) => markStale(observer, DIRTY)));
     }
-    return value;
+    return node.value;
   };
 
-  s.peek = () => value;
+  s.peek = () => node.value;
   return s;
 }
 
+/**
+ * Groups several writes so subscribers re-run once, after the outermost batch ends.
+ * @param {Function} fn - Function performing the writes
+ * @returns {*} - Return value of fn
+ * @example
+ * batch(() => {
+ *   first('Ada');
+ *   last('Lovelace');
+ * }); // runs reading both values execute once
+ */
+export function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0) flush();
+  }
+}
+
+/**
+ * Creates a reactive scope that owns every run and calc created inside it.
+ * Disposing the root disposes all of them (and their own children) and runs
+ * the callbacks registered with onCleanup(). Roots are never owned by an
+ * enclosing scope; they live until their dispose function is called.
+ * @param {Function} fn - Receives the dispose function; executed untracked
+ * @returns {*} - Return value of fn
+ * @example
+ * const dispose = createRoot((dispose) => {
+ *   run(() => console.log(count()));
+ *   onCleanup(() => console.log('root disposed'));
+ *   return dispose;
+ * });
+ * dispose(); // stops the run and logs 'root disposed'
+ */
+export function createRoot(fn) {
+  const root = { owner: null, owned: new Set(), cleanups: [], disposed: false };
+  root.dispose = () => {
+    if (root.disposed) return;
+    root.disposed = true;
+    cleanOwned(root);
+  };
+
+  const prevObserver = currentObserver;
+  const prevOwner = currentOwner;
+  currentObserver = null;
+  currentOwner = root;
+  try {
+    return fn(root.dispose);
+  } finally {
+    currentObserver = prevObserver;
+    currentOwner = prevOwner;
+  }
+}
+
+/**
+ * Returns the root, run or calc that owns runs, calcs and cleanups created now.
+ * Internal: lets component hooks attach to the component being set up.
+ * @returns {Object|null} - Current owner, or null outside any scope
+ */
+export function getOwner() {
+  return currentOwner;
+}
+
+/**
+ * Executes a function untracked, with `owner` owning what it creates.
+ * Internal: lets component hooks run in their component's scope later on.
+ * @param {Object|null} owner - Owner returned by getOwner()
+ * @param {Function} fn - Function to execute
+ * @returns {*} - Return value of fn
+ */
+export function runWithOwner(owner, fn) {
+  const prevObserver = currentObserver;
+  const prevOwner = currentOwner;
+  currentObserver = null;
+  currentOwner = owner;
+  try {
+    return fn();
+  } finally {
+    currentObserver = prevObserver;
+    currentOwner = prevOwner;
+  }
+}
+
+/**
+ * Registers a callback that runs when the current scope is cleaned up: before
+ * the enclosing run re-executes, or when the enclosing root, run or calc is disposed.
+ * @param {Function} fn - Cleanup callback
+ * @returns {Function|undefined} - The callback, for convenience
+ * @example
+ * run(() => {
+ *   const id = setInterval(tick, 1000);
+ *   onCleanup(() => clearInterval(id));
+ * });
+ */
+export function onCleanup(fn) {
+  if (typeof fn !== 'function') {
+    reportError('ERR_INVALID_ARGUMENT', 'onCleanup() requires a function argument.');
+    return;
+  }
+  if (!currentOwner) {
+    reportWarning(
+      'ERR_NO_OWNER',
+      'onCleanup() called outside createRoot() or run(). The cleanup will never run.'
+    );
+    return fn;
+  }
+  currentOwner.cleanups.push(fn);
+  return fn;
+}
+
+/**
+ * Executes a function without tracking: values read inside it do not become
+ * dependencies of the surrounding run or calc.
+ * @param {Function} fn - Function to execute
+ * @returns {*} - Return value of fn
+ * @example
+ * run(() => {
+ *   const user = userId(); // tracked
+ *   const theme = untrack(() => config().theme); // not tracked
+ * });
+ */
+export function untrack(fn) {
+  const prevObserver = currentObserver;
+  currentObserver = null;
+  try {
+    return fn();
+  } finally {
+    currentObserver = prevObserver;
+  }
+}
+
+/**
+ * Wraps a function so it only depends on an explicit list of values.
+ * The values are read (and tracked) first, then fn runs untracked with them.
+ * Pass the result to run() or calc().
+ * @param {Function|Function[]} deps - A value getter or an array of value getters
+ * @param {Function} fn - Called with the current and previous dependency values
+ * @returns {Function} - Function suitable for run() or calc()
+ * @example
+ * run(on([a, b], ([a, b], prev) => {
+ *   console.log('a or b changed', a, b, prev);
+ * }));
+ */
+export function on(deps, fn) {
+  const isList = Array.isArray(deps);
+  let prevValues;
+  return () => {
+    const values = isList ? deps.map((dep) => dep()) : deps();
+    const result = untrack(() => fn(values, prevValues));
+    prevValues = values;
+    return result;
+  };
+}
+
 /**
  * Runs code that automatically re-executes when any values it reads change.
  * Runs are isolated - if one fails, others continue to run.
  * The run function can return a cleanup function that runs before re-execution or disposal.
+ * By default a run re-executes synchronously when a value changes (or when the
+ * enclosing batch ends). With `scheduler: 'microtask'`, changes are coalesced and the
+ * run re-executes at most once per microtask.
+ * A run owns the runs and calcs it creates: they are disposed before it re-executes
+ * and when it is disposed. A run created inside createRoot() is disposed with the root.
  * @param {Function} fn - Function to execute reactively. Can return a cleanup function.
- * @returns {Function} - Dispose function to stop the run and execute cleanup
+ * @param {Object} [options] - Run options
+ * @param {'sync'|'microtask'} [options.scheduler='sync'] - When re-executions happen
+ * @param {string} [options.label] - Debug label used in error messages (e.g. cycle detection)
+ * @returns {Function} - Dispose function that unsubscribes the run from every value and executes cleanup
  * @example
  * run(() => {
  *   const timer = setInterval(() => console.log('tick'), 1000);
  *   return () => clearInterval(timer); // Cleanup function
  * });
  */
-export function run(fn) {
+export function run(fn, options = {}) {
   if (typeof fn !== 'function') {
-    console.error('[frontjs] run() requires a function argument.');
+    reportError('ERR_INVALID_ARGUMENT', 'run() requires a function argument.');
     return () => {};
   }
 
   let cleanup; // Track cleanup function returned by user's run
 
-  const wrapper = () => {
-    // Run previous cleanup before re-executing run
+  const node = {
+    id: nextNodeId++,
+    kind: 'run',
+    label: (options && options.label) || fn.name || 'anonymous',
+    state: CLEAN,
+    running: false,
+    scheduler: options && options.scheduler === 'microtask' ? 'microtask' : 'sync',
+    sources: new Set(),
+    owned: new Set(),
+    cleanups: [],
+    disposed: false,
+    update: null,
+    dispose: null,
+  };
+  adopt(node);
+
+  node.update = () => {
+    if (node.disposed) return;
+    // Re-entrancy guard: a run must never execute inside its own execution
+    if (node.running) {
+      reportCycle(node, 'was re-entered while running. The run has been stopped');
+      node.dispose();
+      return;
+    }
+
+    // Dispose children from the previous execution, then run previous cleanup
+    cleanOwned(node);
     if (cleanup) {
       try {
         cleanup();
       } catch (error) {
-        console.error('[frontjs] Error in run cleanup:', error);
+        reportError('ERR_CLEANUP', 'Error in run cleanup:', { cause: error });
         // Continue execution even if cleanup fails
       }
     }
 
-    const prevRun = currentRun;
-    currentRun = wrapper;
+    // Drop subscriptions from the previous execution; reads below re-subscribe
+    unsubscribe(node);
+
+    const prevObserver = currentObserver;
+    const prevOwner = currentOwner;
+    currentObserver = node;
+    currentOwner = node;
+    node.running = true;
     try {
       // Execute run and capture cleanup function (if returned)
       const result = fn();
       // Check for Promise return (async functions not supported)
       if (result instanceof Promise || (result && typeof result.then === 'function')) {
-        console.warn(
-          '[frontjs] run() returned a Promise. Use an IIFE instead: run(() => { (async () => {...})(); })'
+        reportWarning(
+          'ERR_ASYNC_RUN',
+          'run() returned a Promise. Use an IIFE instead: run(() => { (async () => {...})(); })'
         );
         cleanup = undefined;
       } else {
         cleanup = typeof result === 'function' ? result : undefined;
       }
     } catch (error) {
-      console.error('[frontjs] Error in run:', error);
+      reportError('ERR_RUN', 'Error in run:', { cause: error });
       // Don't re-throw - isolate errors so one failing run doesn't break others
     } finally {
-      currentRun = prevRun;
+      node.running = false;
+      currentObserver = prevObserver;
+      currentOwner = prevOwner;
     }
   };
 
-  wrapper(); // Run immediately
-
-  // Return dispose function for manual cleanup
-  return () => {
+  // Dispose: unsubscribe from every value, dispose children, then cleanup
+  node.dispose = () => {
+    if (node.disposed) return; // Prevent double-cleanup
+    node.disposed = true;
+    unsubscribe(node);
+    pending.delete(node);
+    scheduled.delete(node);
+    if (node.owner) node.owner.owned.delete(node);
+    cleanOwned(node);
     if (cleanup) {
       try {
         cleanup();
       } catch (error) {
-        console.error('[frontjs] Error disposing run:', error);
+        reportError('ERR_CLEANUP', 'Error disposing run:', { cause: error });
       }
     }
-    cleanup = undefined; // Prevent double-cleanup
+    cleanup = undefined;
   };
+
+  // Run immediately. Writes it makes are flushed after it finishes, never inside it
+  batch(node.update);
+
+  return node.dispose;
 }
 
 /**
- * Creates a calculated (derived) value that automatically updates when dependencies change.
+ * Creates a calculated (derived) value that updates when its dependencies change.
+ * Calcs are lazy and memoized: nothing is computed until the first read, and a
+ * write only marks the calc stale. The next read recomputes it if (and only if)
+ * one of its dependencies actually changed, so reads always see a consistent
+ * value and an unread calc never recomputes.
  * @param {Function} fn - Function that calculates the derived value
- * @returns {Function} - Read-only getter function
+ * @param {Object} [options] - Calc options
+ * @param {Function|false} [options.equals] - Comparator deciding whether a recomputed
+ * value counts as a change (same semantics as val())
+ * @param {string} [options.label] - Debug label used in error messages (e.g. cycle detection)
+ * @returns {Function} - Read-only getter function (with `.peek()` for untracked reads)
  * @example
  * const doubled = calc(() => count() * 2);
  * doubled(); // returns current calculated value
+ * doubled.peek(); // non-reactive read
+ *
+ * const sameItems = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+ * const visible = calc(() => items().filter((item) => !item.hidden), { equals: sameItems });
  */
-export function calc(fn) {
+export function calc(fn, options = {}) {
   if (typeof fn !== 'function') {
-    console.error('[frontjs] calc() requires a function argument.');
+    reportError('ERR_INVALID_ARGUMENT', 'calc() requires a function argument.');
     return () => undefined;
   }
 
-  let calculatedValue;
-  try {
-    calculatedValue = fn();
-  } catch (error) {
-    console.error('[frontjs] Error calculating initial value:', error);
-    calculatedValue = undefined;
-  }
+  const equals = resolveEquals(options);
+  const node = {
+    id: nextNodeId++,
+    kind: 'calc',
+    label: (options && options.label) || fn.name || 'anonymous',
+    state: DIRTY, // Not computed yet
+    running: false,
+    value: undefined,
+    initialized: false,
+    sources: new Set(),
+    observers: new Set(),
+    owned: new Set(),
+    cleanups: [],
+    disposed: false,
+    update: null,
+    dispose: null,
+  };
+  adopt(node);
 
-  const s = val(calculatedValue);
+  node.update = () => {
+    // A disposed calc keeps its last value and stops recomputing
+    if (node.disposed) return;
+    unsubscribe(node);
+    cleanOwned(node);
 
-  run(() => {
+    const prevObserver = currentObserver;
+    const prevOwner = currentOwner;
+    currentObserver = node;
+    currentOwner = node;
+    node.running = true;
     try {
       const newValue = fn();
-      s(newValue);
+      if (!node.initialized || !equals(node.value, newValue)) {
+        node.value = newValue;
+        // Observers were marked CHECK on the way down; confirm they must update
+        node.observers.forEach((observer) => markStale(observer, DIRTY));
+      }
     } catch (error) {
-      console.error('[frontjs] Error recalculating value:', error);
+      reportError(
+        'ERR_CALC',
+        node.initialized ? 'Error recalculating value:' : 'Error calculating initial value:',
+        { cause: error }
+      );
       // Keep previous value on error
+    } finally {
+      node.running = false;
+      node.initialized = true;
+      currentObserver = prevObserver;
+      currentOwner = prevOwner;
     }
-  });
+  };
 
-  return () => s(); // Read-only getter
+  node.dispose = () => {
+    if (node.disposed) return;
+    node.disposed = true;
+    unsubscribe(node);
+    if (node.owner) node.owner.owned.delete(node);
+    cleanOwned(node);
+  };
+
+  // Read-only getter
+  const s = () => {
+    // A calc reading itself (directly or through other calcs) gets its last value
+    if (node.running) {
+      reportCycle(node, 'reads its own value');
+      return node.value;
+    }
+    // Refresh before tracking, so a recompute does not re-mark the reader
+    refresh(node);
+    track(node);
+    return node.value;
+  };
+
+  s.peek = () => {
+    if (node.running) return node.value;
+    refresh(node);
+    return node.value;
+  };
+  return s;
 }
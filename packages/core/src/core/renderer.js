@@ -1,17 +1,77 @@
 /**
  * @fileoverview Renderer abstraction layer
- * Wraps the underlying template renderer (currently uhtml) to enable swapping
- * without breaking the public API.
+ * Routes templates to uhtml or to a renderer adapter, so front.js and
+ * component code stay renderer-agnostic. setRenderer() swaps in an adapter,
+ * such as the lit-html one in `src/adapters/`.
+ */
+import { html as uhtml, render as uhtmlRender } from 'uhtml';
+import { reportError } from './errors.js';
+
+/**
+ * The contract a template renderer implements to be used by front.js.
+ * Every adapter must pass the conformance suite in `tests/renderer.test.js`.
+ * @typedef {Object} RendererAdapter
+ * @property {string} [name] - Adapter name, for debugging
+ * @property {Function} html - Template tag: `(strings, ...values) => template`
+ * @property {Function} render - `(container, template) => void`; renders into
+ * the container, updating the DOM from the previous render of the same template in place
+ * @property {Function} renderToString - `(template) => string`; HTML for the template,
+ * escaped like render() escapes it. renderTemplate() from the server renderer does the
+ * escaping given the template strings and values
+ * @property {Function} [hydrate] - `(container, template) => void`; binds the template
+ * to the server markup already in the container, so later render() calls update it
+ * (see withHydration() in `src/adapters/hydration.js`)
+ */
+
+/**
+ * Adapter set by setRenderer(). Without one, templates go to uhtml directly:
+ * only the server renders templates to strings (see `src/adapters/uhtml.js`).
+ * @type {RendererAdapter|null}
+ */
+let adapter = null;
+
+/**
+ * Set by each() the first time it runs (see `src/core/each.js`), so pages
+ * without lists don't track them: `html(template, values)` records the lists
+ * a template places, and `track(container, template, renderFn)` runs a render
+ * and collects the lists it drops.
+ * @type {{html: Function|null, track: Function|null}}
+ */
+export const listHooks = { html: null, track: null };
+
+/**
+ * Replaces the template renderer. Call it before registering components and
+ * calling hydrate(): templates must be created and rendered by the same adapter.
+ * @param {RendererAdapter|null} next - Adapter to use, or `null` to restore uhtml
+ * @returns {RendererAdapter|null} - The adapter that was in use, or `null` for uhtml
+ * @example
+ * import { setRenderer } from '@frontjs/core';
+ * import { litHtmlAdapter } from '@frontjs/core/adapters/lit-html';
  *
- * This abstraction allows front.js to remain renderer-agnostic. In the future,
- * uhtml could be swapped for lit-html, preact, or another template library
- * without changing the public API or component code.
+ * setRenderer(litHtmlAdapter);
  */
-import { html as uhtmlHtml, render as uhtmlRender } from 'uhtml';
+export function setRenderer(next) {
+  const previous = adapter;
+  if (next === null) {
+    adapter = null;
+  } else if (
+    next &&
+    ['html', 'render', 'renderToString'].every((key) => typeof next[key] === 'function') &&
+    (next.hydrate === undefined || typeof next.hydrate === 'function')
+  ) {
+    adapter = next;
+  } else {
+    reportError(
+      'ERR_INVALID_ARGUMENT',
+      'setRenderer() requires an adapter with html, render and renderToString functions.'
+    );
+  }
+  return previous;
+}
 
 /**
  * Template tag function for creating HTML templates.
- * Currently delegates to uhtml, but can be swapped to another renderer.
+ * Delegates to the current renderer adapter (uhtml unless setRenderer() changed it).
  *
  * IMPORTANT: This returns a template OBJECT, not a string.
  * - Use with render(): render(container, html`<div>...</div>`)
@@ -35,12 +95,14 @@ import { html as uhtmlHtml, render as uhtmlRender } from 'uhtml';
  * element.insertAdjacentHTML('beforeend', `<div>...</div>`); // Works
  */
 export function html(strings, ...values) {
-  return uhtmlHtml(strings, ...values);
+  const template = adapter ? adapter.html(strings, ...values) : uhtml(strings, ...values);
+  if (listHooks.html) listHooks.html(template, values);
+  return template;
 }
 
 /**
  * Renders a template into a DOM container.
- * Currently delegates to uhtml, but can be swapped to another renderer.
+ * Delegates to the current renderer adapter (uhtml unless setRenderer() changed it).
  *
  * Uses efficient DOM diffing to minimize reflows and repaints.
  *
@@ -55,5 +117,35 @@ export function html(strings, ...values) {
  * render(container, html`<div>Hello</div>`);
  */
 export function render(container, template) {
-  return uhtmlRender(container, template);
+  track(container, template, () =>
+    adapter ? adapter.render(container, template) : uhtmlRender(container, template)
+  );
+}
+
+/**
+ * Runs a render, through each() when it keeps track of lists.
+ * @param {Node} container - Container being rendered into
+ * @param {*} template - Template being rendered
+ * @param {Function} renderFn - Renders into the container
+ */
+function track(container, template, renderFn) {
+  if (listHooks.track) listHooks.track(container, template, renderFn);
+  else renderFn();
+}
+
+/**
+ * Renders a template over server-rendered markup (the first render of an
+ * island produced by renderToString()). Adapters with a `hydrate` function,
+ * such as the ones withHydration() returns, bind to the server elements;
+ * with other adapters, the client DOM replaces the server markup.
+ * @param {HTMLElement} container - Element holding the server markup
+ * @param {*} template - Template object (from html() tag function)
+ */
+export function hydrateRender(container, template) {
+  if (adapter && adapter.hydrate) {
+    track(container, template, () => adapter.hydrate(container, template));
+    return;
+  }
+  container.replaceChildren();
+  render(container, template);
 }
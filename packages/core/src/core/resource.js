@@ -0,0 +1,124 @@
+import { reportError } from './errors.js';
+import { val, run, batch, untrack } from './reactivity.js';
+
+/**
+ * Loads async data that depends on reactive values.
+ * The source function is tracked like a run: whenever it returns a new value,
+ * the fetcher is called again. The previous request's AbortSignal is aborted,
+ * and a response that arrives after a newer request started is discarded, so a
+ * slow answer can never overwrite a fresh one. A source of `null`, `undefined`
+ * or `false` skips fetching.
+ *
+ * The resource belongs to the enclosing scope (component, run or createRoot):
+ * when the scope is disposed, the in-flight request is aborted.
+ *
+ * `data()` keeps the last successful value while a new request is loading.
+ *
+ * @param {Function} source - Reactive function returning the fetcher's input
+ * @param {Function} fetcher - `(source, { signal }) => Promise` loading the data
+ * @param {Object} [options] - Resource options
+ * @param {*} [options.initialValue] - Value of data() before the first response
+ * @returns {{data: Function, loading: Function, error: Function, refetch: Function}} -
+ * Reactive getters and a function that repeats the last request
+ * @example
+ * const username = val('octocat');
+ * const user = resource(username, async (name, { signal }) => {
+ *   const res = await fetch(`https://api.github.com/users/${name}`, { signal });
+ *   if (!res.ok) throw new Error('User not found');
+ *   return res.json();
+ * });
+ *
+ * return () => html`
+ *   ${user.loading() ? html`<p>Loading...</p>` : ''}
+ *   ${user.error() ? html`<p>Error: ${user.error().message}</p>` : ''}
+ *   ${user.data() ? html`<strong>${user.data().login}</strong>` : ''}
+ * `;
+ */
+export function resource(source, fetcher, options = {}) {
+  if (typeof source !== 'function' || typeof fetcher !== 'function') {
+    reportError(
+      'ERR_INVALID_ARGUMENT',
+      'resource() requires a source function and a fetcher function.'
+    );
+    return {
+      data: () => undefined,
+      loading: () => false,
+      error: () => undefined,
+      refetch: () => Promise.resolve(),
+    };
+  }
+
+  const data = val(options.initialValue);
+  const error = val(undefined);
+  const loading = val(false);
+
+  let requestId = 0;
+  let controller = null;
+  let current; // Last source value
+
+  const abort = () => {
+    if (controller) controller.abort();
+    controller = null;
+  };
+
+  const load = (value) => {
+    abort();
+    const id = ++requestId;
+
+    if (value === null || value === undefined || value === false) {
+      loading(false);
+      return Promise.resolve(data.peek());
+    }
+
+    const ctrl = new AbortController();
+    controller = ctrl;
+    loading(true);
+
+    // Sync throws and plain return values are handled like promises
+    return new Promise((resolve) => resolve(fetcher(value, { signal: ctrl.signal }))).then(
+      (result) => {
+        if (id !== requestId) return undefined; // Stale response
+        controller = null;
+        batch(() => {
+          data(result);
+          error(undefined);
+          loading(false);
+        });
+        return result;
+      },
+      (err) => {
+        if (id !== requestId) return undefined; // Stale (or aborted) request
+        controller = null;
+        batch(() => {
+          error(err);
+          loading(false);
+        });
+        return undefined;
+      }
+    );
+  };
+
+  run(
+    () => {
+      current = source();
+      untrack(() => load(current));
+      // Runs before the next load and when the owning scope is disposed
+      return () => {
+        requestId++;
+        abort();
+      };
+    },
+    { label: 'resource' }
+  );
+
+  return {
+    data: () => data(),
+    loading: () => loading(),
+    error: () => error(),
+    /**
+     * Repeats the request for the current source value.
+     * @returns {Promise<*>} - Resolves with the new data, or undefined if it failed or went stale
+     */
+    refetch: () => untrack(() => load(current)),
+  };
+}
@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Server-side rendering
+ * Renders components to HTML strings without a DOM, so the same component
+ * can produce the server markup of an island and then hydrate it in the browser.
+ */
+import { reportError } from './errors.js';
+import { escapeHtml, renderTemplate, toHTML } from './markup.js';
+import { createRoot, untrack } from './reactivity.js';
+import { isValidComponentName } from './validation.js';
+
+// Replaces a placeholder with the island in its chunk, then tells hydrate() about it
+const SWAP_SCRIPT =
+  'window.__frontSwap=function(id){' +
+  "var t=document.querySelector('template[data-front-chunk=\"'+id+'\"]')," +
+  "p=document.querySelector('[data-front-placeholder=\"'+id+'\"]');" +
+  'if(!t||!p)return;' +
+  'var n=[].slice.call(t.content.childNodes);' +
+  'p.replaceWith(t.content);t.remove();' +
+  'n.forEach(function(e){if(e.nodeType===1)' +
+  "e.dispatchEvent(new CustomEvent('front:streamed',{bubbles:true}))})};";
+
+// Async islands found while rendering for renderToStream(), or null outside of it
+let stream = null;
+
+// Renders templates the server `html` tag didn't create (see setRenderer())
+let adapter = null;
+
+/**
+ * A template created by the server `html` tag.
+ */
+class Template {
+  constructor(strings, values) {
+    this.strings = strings;
+    this.values = values;
+  }
+}
+
+/**
+ * A component placed in a page template with island().
+ */
+class Island {
+  constructor(componentFn, props, options) {
+    this.componentFn = componentFn;
+    this.props = props;
+    this.options = options;
+  }
+}
+
+/**
+ * Template tag for components rendered on the server. Produces the same
+ * markup as the client `html` tag when passed to renderToString().
+ * @param {TemplateStringsArray} strings - Template literal strings
+ * @param {...*} values - Interpolated values (escaped when rendered)
+ * @returns {Template} - Template object for renderToString()
+ */
+export function html(strings, ...values) {
+  return new Template(strings, values);
+}
+
+/**
+ * Replaces the adapter that renders templates the server `html` tag didn't
+ * create, such as lit-html templates of components shared with the client.
+ * @param {import('./renderer.js').RendererAdapter|null} next - Adapter to use, or `null` to render server templates only
+ * @returns {import('./renderer.js').RendererAdapter|null} - The adapter that was in use
+ * @example
+ * import { setRenderer } from '@frontjs/core/server';
+ * import { litHtmlAdapter } from '@frontjs/core/adapters/lit-html';
+ *
+ * setRenderer(litHtmlAdapter);
+ */
+export function setRenderer(next) {
+  const previous = adapter;
+  if (
+    next === null ||
+    (next && ['html', 'render', 'renderToString'].every((key) => typeof next[key] === 'function'))
+  ) {
+    adapter = next;
+  } else {
+    reportError(
+      'ERR_INVALID_ARGUMENT',
+      'setRenderer() requires an adapter with html, render and renderToString functions.'
+    );
+  }
+  return previous;
+}
+
+/**
+ * Renders a server template, an island or an adapter template.
+ * @param {Object} value - Object interpolated in content position
+ * @returns {string} - HTML
+ */
+function renderServerObject(value) {
+  if (value instanceof Island) return renderIsland(value);
+  if (value instanceof Template)
+    return renderTemplate(value.strings, value.values, renderServerObject);
+  return adapter ? adapter.renderToString(value) : '';
+}
+
+/**
+ * Renders a component to an HTML string, wrapped in the island element that
+ * hydrate() picks up on the client. Works without a DOM: the component's
+ * setup runs once inside a root that is disposed right after rendering, and
+ * lifecycle hooks never run on the server.
+ *
+ * Props are serialized to `data-props`, so they must be JSON-serializable:
+ * props that aren't (cycles, BigInt) are reported as `ERR_PROPS_JSON`.
+ * Text and attribute values are escaped like the client renderer escapes them.
+ * @param {Function} componentFn - Component function (the same one passed to register())
+ * @param {Object} [props={}] - Props for the component
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.name] - Component name for `data-component` (defaults to componentFn.name)
+ * @param {string} [options.id] - Island `id`
+ * @param {string} [options.hydrate] - `data-hydrate` strategy
+ * @param {string} [options.tag='div'] - Island element tag name
+ * @returns {string} - Island HTML, or '' when the component, its name or its props are invalid
+ * @example
+ * import { renderToString } from '@frontjs/core/server';
+ * import { Counter } from './components/Counter.js';
+ *
+ * const markup = renderToString(Counter, { start: 10 });
+ * // <div data-island data-ssr data-component="Counter" data-props="{&quot;start&quot;:10}">...</div>
+ */
+export function renderToString(componentFn, props = {}, options = {}) {
+  const name = options.name || (typeof componentFn === 'function' ? componentFn.name : undefined);
+  const tag = options.tag || 'div';
+  if (typeof componentFn !== 'function' || !isValidComponentName(name)) {
+    reportError(
+      'ERR_INVALID_ARGUMENT',
+      'renderToString() requires a component function and a valid component name.',
+      { component: name }
+    );
+    return '';
+  }
+  if (!/^[a-zA-Z][a-zA-Z0-9-]*$/.test(tag)) {
+    reportError('ERR_INVALID_ARGUMENT', `renderToString() received an invalid tag "${tag}".`, {
+      component: name,
+    });
+    return '';
+  }
+
+  // Props travel to the client in data-props
+  let json;
+  try {
+    json = JSON.stringify(props);
+  } catch (error) {
+    reportError('ERR_PROPS_JSON', `Props for component "${name}" can't be serialized to JSON.`, {
+      component: name,
+      cause: error,
+    });
+    return '';
+  }
+
+  let content = '';
+  createRoot((dispose) => {
+    try {
+      const renderFn = componentFn(props, { slots: {} });
+      if (typeof renderFn !== 'function') {
+        reportError(
+          'ERR_RENDER_FUNCTION',
+          `Component "${name}" did not return a render function.`,
+          {
+            component: name,
+          }
+        );
+        return;
+      }
+      try {
+        content = toHTML(untrack(renderFn), renderServerObject);
+      } catch (error) {
+        reportError('ERR_RENDER', 'Error rendering component:', { component: name, cause: error });
+      }
+    } catch (error) {
+      reportError('ERR_COMPONENT_SETUP', `Error initializing component "${name}".`, {
+        component: name,
+        cause: error,
+      });
+    } finally {
+      dispose();
+    }
+  });
+
+  // data-ssr tells hydrate() to adopt this markup
+  let attributes = ` data-island data-ssr data-component="${name}"`;
+  attributes += ` data-props="${escapeHtml(json)}"`;
+  if (options.id) attributes += ` id="${escapeHtml(options.id)}"`;
+  if (options.hydrate) attributes += ` data-hydrate="${escapeHtml(options.hydrate)}"`;
+  return `<${tag}${attributes}>${content}</${tag}>`;
+}
+
+/**
+ * Places a component in a page template. The island renders like
+ * renderToString() where the template is rendered, so whole pages can be
+ * written as one template. Props may be a promise: renderToStream() then
+ * sends the fallback right away and streams the island once the props resolve.
+ * @param {Function} componentFn - Component function
+ * @param {Object|Promise<Object>} [props={}] - Props, or a promise for them
+ * @param {Object} [options] - renderToString() options, plus:
+ * @param {*} [options.fallback] - Content shown until async props resolve
+ * @returns {Island} - Value for a server `html` template
+ * @example
+ * html`<main>
+ *   ${island(Article, { id })}
+ *   ${island(Comments, fetchComments(id), { fallback: html`<p>Loading comments…</p>` })}
+ * </main>`;
+ */
+export function island(componentFn, props = {}, options = {}) {
+  return new Island(componentFn, props, options);
+}
+
+/**
+ * Renders an island() value. Async islands render a placeholder with their
+ * fallback and are queued for renderToStream().
+ * @param {Island} value - Island to render
+ * @returns {string} - HTML
+ */
+function renderIsland({ componentFn, props, options }) {
+  if (!props || typeof props.then !== 'function') {
+    return renderToString(componentFn, props, options);
+  }
+  const fallback = toHTML(options.fallback, renderServerObject);
+  if (!stream) {
+    reportError('ERR_ASYNC_ISLAND', 'Islands with async props require renderToStream().', {
+      component: options.name || componentFn.name,
+    });
+    return fallback;
+  }
+  const id = String(++stream.count);
+  stream.queue(id, componentFn, props, options);
+  return `<div data-front-placeholder="${id}">${fallback}</div>`;
+}
+
+/**
+ * Renders a value with async islands queued through the stream context.
+ * @param {*} value - Template or other renderable value
+ * @param {Object} context - Stream context
+ * @returns {string} - HTML
+ */
+function renderWithStream(value, context) {
+  const previous = stream;
+  stream = context;
+  try {
+    return toHTML(value, renderServerObject);
+  } finally {
+    stream = previous;
+  }
+}
+
+/**
+ * Renders a page to a stream of HTML. The shell - everything except islands
+ * with async props - is sent right away, with each async island's fallback in
+ * a placeholder. As their props resolve, in whatever order, each island is
+ * sent as a `<template>` chunk followed by a small inline script that swaps it
+ * into its placeholder and lets hydrate() pick it up. Chunks are sent before
+ * the shell's closing `</body>`, so the document stays well formed.
+ *
+ * An island whose props reject keeps its fallback, and the error is reported
+ * with the `ERR_ASYNC_ISLAND` code.
+ * @param {*} template - Page template (server `html`), usually containing island() values
+ * @param {Object} [options] - Streaming options
+ * @param {string} [options.nonce] - Nonce for the inline scripts, for a Content-Security-Policy
+ * @returns {ReadableStream<Uint8Array>} - UTF-8 encoded HTML
+ * @example
+ * import { html, island, renderToStream } from '@frontjs/core/server';
+ *
+ * const page = html`<!doctype html>
+ *   <html><body>
+ *     ${island(Header, { user })}
+ *     ${island(Comments, db.comments(postId), { fallback: html`<p>Loading…</p>` })}
+ *     <script type="module" src="/main.js"></script>
+ *   </body></html>`;
+ * return new Response(renderToStream(page), { headers: { 'Content-Type': 'text/html' } });
+ */
+export function renderToStream(template, options = {}) {
+  const encoder = new TextEncoder();
+  const nonce = options.nonce ? ` nonce="${escapeHtml(options.nonce)}"` : '';
+  let cancelled = false;
+
+  return new ReadableStream({
+    start(controller) {
+      const send = (chunk) => {
+        if (!cancelled) controller.enqueue(encoder.encode(chunk));
+      };
+      let pending = 0;
+      let swapSent = false;
+      let tail = '';
+
+      const finish = () => {
+        if (pending > 0 || cancelled) return;
+        if (tail) send(tail);
+        controller.close();
+      };
+
+      const context = {
+        count: 0,
+        queue(id, componentFn, props, islandOptions) {
+          pending++;
+          Promise.resolve(props)
+            .then(
+              (resolved) => {
+                const markup = renderWithStream(
+                  island(componentFn, resolved, islandOptions),
+                  context
+                );
+                if (!swapSent) {
+                  send(`<script${nonce}>${SWAP_SCRIPT}</script>`);
+                  swapSent = true;
+                }
+                send(
+                  `<template data-front-chunk="${id}">${markup}</template>` +
+                    `<script${nonce}>__frontSwap("${id}")</script>`
+                );
+              },
+              (error) => {
+                reportError('ERR_ASYNC_ISLAND', 'Error loading the props of a streamed island:', {
+                  component: islandOptions.name || componentFn.name,
+                  cause: error,
+                });
+              }
+            )
+            .finally(() => {
+              pending--;
+              finish();
+            });
+        },
+      };
+
+      const shell = renderWithStream(template, context);
+      // Hold back `</body></html>` until every chunk is sent
+      const end = shell.toLowerCase().lastIndexOf('</body>');
+      tail = end === -1 ? '' : shell.slice(end);
+      send(end === -1 ? shell : shell.slice(0, end));
+      finish();
+    },
+    cancel() {
+      // The client went away; pending islands still settle but send nothing
+      cancelled = true;
+    },
+  });
+}
+
+/**
+ * Server version of each(): renders every row once, in list order, between the
+ * comment markers the client each() puts around the list and before each row,
+ * so hydration can adopt the rows. Keys only matter for updates, which never
+ * happen on the server.
+ * @param {Function} list - Returns the array to render
+ * @param {Function} key - Key function (unused on the server)
+ * @param {Function} template - `(item, index) => template`, where both are accessors
+ * @returns {Template} - The list markup
+ */
+export function each(list, key, template) {
+  const accessor = (value) => () => value;
+  const rows = (list() || []).map((item, index) => template(accessor(item), accessor(index)));
+  // <!--each--><!---->row<!---->row<!--/each-->
+  const strings = [...rows.map(() => '<!---->'), '<!--/each-->'];
+  strings[0] = `<!--each-->${strings[0]}`;
+  return new Template(strings, rows);
+}
+
+/**
+ * Server versions of the component lifecycle hooks. Components never mount
+ * on the server, so the callbacks are ignored.
+ */
+export function onMount() {}
+export function onUpdate() {}
+export function onUnmount() {}
+
+/**
+ * Server versions of the client island API, so component modules written for
+ * the browser entries load in Node. Islands only hydrate in the browser:
+ * register() and registerLazy() do nothing, hydrate() finds no islands,
+ * observe() has nothing to watch, and there is nothing to unmount or look up.
+ */
+export function register() {}
+export function registerLazy() {}
+export function hydrate() {
+  return Promise.resolve({ hydrated: [], skipped: [], invalid: [], failed: [] });
+}
+export function observe() {
+  return () => {};
+}
+export function unmount() {
+  return false;
+}
+export function unmountAll() {
+  return 0;
+}
+export function getIsland() {
+  return null;
+}
+
+/**
+ * Server versions of render() and defineComponent(): there is no DOM to render
+ * into on the server. Reported as `ERR_NO_DOM`; render with renderToString().
+ */
+export function render() {
+  reportError('ERR_NO_DOM', 'render() needs a DOM. Use renderToString() on the server.');
+}
+export function defineComponent() {
+  reportError('ERR_NO_DOM', 'defineComponent() needs a DOM. Use renderToString() on the server.');
+}
@@ -0,0 +1,300 @@
+import { reportError } from './errors.js';
+import { val, batch, untrack } from './reactivity.js';
+
+// Read through a store proxy to reach the underlying plain object
+const RAW = Symbol('frontjs.raw');
+// Tracks the key set of an object (iteration, `in`, Object.keys)
+const ITERATE = Symbol('frontjs.iterate');
+
+const proxies = new WeakMap(); // raw object -> proxy
+const signals = new WeakMap(); // raw object -> Map<key, val>
+
+const hasOwn = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
+
+/**
+ * Only plain objects and arrays are wrapped. Dates, Maps, class instances and
+ * DOM nodes are stored as-is and tracked by reference.
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value can be wrapped in a store proxy
+ */
+export function isWrappable(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns the plain object behind a store proxy (or the value itself).
+ * @param {*} value - Store proxy or plain value
+ * @returns {*} - Underlying value
+ */
+function unwrap(value) {
+  return (value && value[RAW]) || value;
+}
+
+/**
+ * Per-property val, created the first time the property is read.
+ * Uses equals: false because it carries no value, only change notifications.
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ * @returns {Function} - val used as a change signal
+ */
+function signalFor(target, key) {
+  let map = signals.get(target);
+  if (!map) {
+    map = new Map();
+    signals.set(target, map);
+  }
+  let signal = map.get(key);
+  if (!signal) {
+    signal = val(undefined, { equals: false });
+    map.set(key, signal);
+  }
+  return signal;
+}
+
+/**
+ * Notifies readers of a property. Properties nobody read have no signal yet.
+ * @param {Object} target - Raw object
+ * @param {string|symbol} key - Property key
+ */
+function notify(target, key) {
+  const map = signals.get(target);
+  const signal = map && map.get(key);
+  if (signal) signal(undefined);
+}
+
+const handler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+    const value = Reflect.get(target, key, receiver);
+    // Symbols and inherited members (array methods, toString...) are not state
+    if (typeof key === 'symbol' || (!hasOwn(target, key) && key in target)) return value;
+    signalFor(target, key)();
+    return isWrappable(value) ? wrap(value) : value;
+  },
+
+  has(target, key) {
+    if (typeof key !== 'symbol') signalFor(target, key)();
+    return key in target;
+  },
+
+  ownKeys(target) {
+    signalFor(target, ITERATE)();
+    return Reflect.ownKeys(target);
+  },
+
+  set(target, key, value) {
+    const next = unwrap(value);
+    const had = hasOwn(target, key);
+    const prev = target[key];
+    const prevLength = Array.isArray(target) ? target.length : undefined;
+    target[key] = next;
+    batch(() => {
+      if (!had || !Object.is(prev, next)) notify(target, key);
+      if (!had) notify(target, ITERATE);
+      if (prevLength !== undefined && target.length !== prevLength) {
+        notify(target, 'length');
+        notify(target, ITERATE);
+        // Shrinking an array removes indices without a set for each of them
+        for (let i = target.length; i < prevLength; i++) notify(target, String(i));
+      }
+    });
+    return true;
+  },
+
+  deleteProperty(target, key) {
+    const had = hasOwn(target, key);
+    delete target[key];
+    if (had) {
+      batch(() => {
+        notify(target, key);
+        notify(target, ITERATE);
+      });
+    }
+    return true;
+  },
+};
+
+/**
+ * Returns the (cached) store proxy for a plain object or array.
+ * @param {Object} value - Raw object
+ * @returns {Proxy} - Reactive proxy
+ */
+function wrap(value) {
+  let proxy = proxies.get(value);
+  if (!proxy) {
+    proxy = new Proxy(value, handler);
+    proxies.set(value, proxy);
+  }
+  return proxy;
+}
+
+/**
+ * Writes next into the store object at target, keeping nested object identity
+ * where possible so only properties that really changed notify.
+ * @param {Proxy} target - Store proxy of an object or array
+ * @param {Object|Array} next - Plain data to reconcile into target
+ * @param {string} key - Property used to match array items
+ */
+function reconcileInto(target, next, key) {
+  const raw = unwrap(target);
+
+  if (Array.isArray(next)) {
+    const byKey = new Map();
+    raw.forEach((item) => {
+      if (isWrappable(item) && item[key] !== undefined) byKey.set(item[key], item);
+    });
+    next.forEach((item, i) => {
+      const keyed = isWrappable(item) && item[key] !== undefined;
+      const existing = keyed ? byKey.get(item[key]) : raw[i];
+      if (
+        isWrappable(existing) &&
+        isWrappable(item) &&
+        Array.isArray(existing) === Array.isArray(item)
+      ) {
+        reconcileInto(wrap(existing), item, key);
+        target[i] = existing;
+      } else {
+        target[i] = item;
+      }
+    });
+    target.length = next.length;
+    return;
+  }
+
+  Object.keys(next).forEach((prop) => {
+    const existing = raw[prop];
+    const item = next[prop];
+    if (
+      isWrappable(existing) &&
+      isWrappable(item) &&
+      Array.isArray(existing) === Array.isArray(item)
+    ) {
+      reconcileInto(wrap(existing), item, key);
+    } else {
+      target[prop] = item;
+    }
+  });
+  Object.keys(raw).forEach((prop) => {
+    if (!hasOwn(next, prop)) delete target[prop];
+  });
+}
+
+/**
+ * Creates a deeply reactive store for nested objects and arrays.
+ * Every property read inside a run or calc is tracked individually, and nested
+ * objects are wrapped on access, so changing `state.todos[3].done` only re-runs
+ * code that read that property. Writes can go through the proxy directly
+ * (`state.items.push(4)` notifies) or through the returned setter, which
+ * supports path-based updates.
+ *
+ * Setter forms:
+ * - `setState('todos', 0, 'done', true)` - set the value at a path
+ * - `setState('count', (count) => count + 1)` - updater function
+ * - `setState('user', { name: 'Ada' })` - plain objects are shallow-merged
+ * - `setState('todos', produce((todos) => todos.push(todo)))` - mutate a draft
+ * - `setState('todos', reconcile(serverTodos))` - diff in new data by key
+ *
+ * @param {Object|Array} initialValue - Initial state (plain object or array)
+ * @returns {[Proxy, Function]} - Reactive state proxy and path setter
+ * @example
+ * const [state, setState] = store({ todos: [{ id: 1, text: 'Write docs', done: false }] });
+ *
+ * run(() => console.log(state.todos[0].done)); // tracks only todos[0].done
+ * setState('todos', 0, 'done', true);
+ */
+export function store(initialValue) {
+  if (!isWrappable(initialValue)) {
+    reportError('ERR_INVALID_ARGUMENT', 'store() requires a plain object or array.');
+    initialValue = {};
+  }
+
+  const state = wrap(initialValue);
+
+  const setState = (...args) => {
+    if (args.length === 0) return;
+    const value = args.pop();
+    const last = args.pop();
+
+    // Reading the path must not subscribe a run that happens to call the setter
+    batch(() =>
+      untrack(() => {
+        let parent = state;
+        for (const key of args) {
+          if (!isWrappable(unwrap(parent[key]))) {
+            reportError(
+              'ERR_STORE_PATH',
+              `store path "${args.join('.')}" does not point to an object.`
+            );
+            return;
+          }
+          parent = parent[key];
+        }
+
+        if (last === undefined) {
+          // Root update: the root object keeps its identity, so merge into it
+          const next = typeof value === 'function' ? value(state) : value;
+          if (isWrappable(next) && unwrap(next) !== unwrap(state)) Object.assign(state, next);
+          return;
+        }
+
+        const current = parent[last];
+        const next = typeof value === 'function' ? value(current) : value;
+        if (unwrap(next) === unwrap(current)) return;
+
+        const merge = (value) => isWrappable(value) && !Array.isArray(value);
+        if (merge(unwrap(next)) && merge(unwrap(current))) {
+          Object.assign(current, next);
+        } else {
+          parent[last] = next;
+        }
+      })
+    );
+  };
+
+  return [state, setState];
+}
+
+/**
+ * Creates a store updater that mutates the current value in place.
+ * Mutations go through the store proxy, so each changed property notifies.
+ * @param {Function} fn - Receives the current store object and mutates it
+ * @returns {Function} - Updater for a store setter
+ * @example
+ * setState('todos', produce((todos) => {
+ *   todos.push({ id: 2, text: 'Ship', done: false });
+ *   todos[0].done = true;
+ * }));
+ */
+export function produce(fn) {
+  return (current) => {
+    if (isWrappable(unwrap(current))) fn(wrap(unwrap(current)));
+    return current;
+  };
+}
+
+/**
+ * Creates a store updater that diffs new data into the existing value.
+ * Array items are matched by `key` (falling back to their index), so object
+ * identity is kept and only properties whose value changed notify.
+ * @param {Object|Array} value - New plain data, e.g. a server response
+ * @param {Object} [options] - Reconcile options
+ * @param {string} [options.key='id'] - Property identifying array items
+ * @returns {Function} - Updater for a store setter
+ * @example
+ * const todos = await fetch('/api/todos').then((res) => res.json());
+ * setState('todos', reconcile(todos));
+ */
+export function reconcile(value, options = {}) {
+  const key = options.key || 'id';
+  return (current) => {
+    const raw = unwrap(current);
+    if (!isWrappable(raw) || !isWrappable(value) || Array.isArray(raw) !== Array.isArray(value)) {
+      return value;
+    }
+    reconcileInto(wrap(raw), value, key);
+    return current;
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Hydration strategies
+ * Importing `@frontjs/core/strategies` lets islands wait for a trigger before
+ * they hydrate, with `data-hydrate="idle"`, `"visible"`, `"media"` or
+ * `"interaction"` (see hydrate()). Without it, every island hydrates right away.
+ * @module front/strategies
+ * @example
+ * import { hydrate } from '@frontjs/core';
+ * import '@frontjs/core/strategies';
+ *
+ * hydrate();
+ */
+import { hooks, islands, startHydration } from './client.js';
+import { reportWarning } from './errors.js';
+
+/**
+ * Hydration strategies for the `data-hydrate` attribute. Each one calls `start`
+ * once its trigger fires and returns a function that cancels the wait.
+ * Strategies depending on a browser API the environment lacks hydrate right away.
+ */
+const strategies = {
+  idle(island, start) {
+    if (typeof requestIdleCallback === 'function') {
+      const id = requestIdleCallback(start);
+      return () => cancelIdleCallback(id);
+    }
+    const id = setTimeout(start, 1);
+    return () => clearTimeout(id);
+  },
+
+  visible(island, start) {
+    if (typeof IntersectionObserver !== 'function') {
+      start();
+      return () => {};
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        start();
+      }
+    });
+    observer.observe(island);
+    return () => observer.disconnect();
+  },
+
+  media(island, start) {
+    const query = island.dataset.hydrateMedia;
+    if (!query || typeof matchMedia !== 'function') {
+      if (!query) {
+        reportWarning(
+          'ERR_HYDRATE_MEDIA',
+          'data-hydrate="media" requires a "data-hydrate-media" query. Hydrating now.',
+          { component: island.dataset.component, element: island }
+        );
+      }
+      start();
+      return () => {};
+    }
+    const mql = matchMedia(query);
+    if (mql.matches) {
+      start();
+      return () => {};
+    }
+    const onChange = (event) => {
+      if (!event.matches) return;
+      mql.removeEventListener('change', onChange);
+      start();
+    };
+    mql.addEventListener('change', onChange);
+    return () => mql.removeEventListener('change', onChange);
+  },
+
+  interaction(island, start) {
+    // pointerover fires on hover, so most clicks land on hydrated markup
+    const events = ['pointerover', 'pointerdown', 'focusin', 'keydown'];
+    const onEvent = () => {
+      stop();
+      start();
+    };
+    const stop = () => events.forEach((type) => island.removeEventListener(type, onEvent));
+    events.forEach((type) => island.addEventListener(type, onEvent));
+    return stop;
+  },
+};
+
+/**
+ * Makes an island wait for its `data-hydrate` trigger (see hooks in client.js).
+ * @param {HTMLElement} island - Island element
+ * @returns {{element: HTMLElement, name: string, reason: string}|undefined} - Report
+ * entry of the deferred island, or undefined to hydrate it now
+ */
+function defer(island) {
+  const strategy = island.dataset.hydrate || 'load';
+  if (strategy === 'load') return undefined;
+  if (!Object.prototype.hasOwnProperty.call(strategies, strategy)) {
+    reportWarning(
+      'ERR_UNKNOWN_STRATEGY',
+      `Unknown data-hydrate strategy "${strategy}". Hydrating now.`,
+      {
+        component: island.dataset.component,
+        element: island,
+      }
+    );
+    return undefined;
+  }
+
+  const state = {
+    name: island.dataset.component,
+    props: null,
+    status: 'pending',
+    cancel: null,
+    dispose: null,
+    failure: null,
+    children: [],
+  };
+  islands.set(island, state);
+  const start = () => {
+    if (islands.get(island) !== state || state.status !== 'pending') return;
+    startHydration(island);
+  };
+  state.cancel = strategies[strategy](island, start);
+  return { element: island, name: state.name, reason: `Deferred until "${strategy}".` };
+}
+
+hooks.defer = defer;
@@ -0,0 +1,45 @@
+import { reportError } from './errors.js';
+
+/**
+ * Validates data using a Standard Schema compliant validator.
+ * @param {Object} schema - Standard Schema validator with ~standard property
+ * @param {*} data - Data to validate
+ * @param {string} context - Context string for error messages (e.g., component name)
+ * @param {HTMLElement} [island] - Island element the data belongs to (for error reports)
+ * @returns {{valid: boolean, value: *, issues: *}|Promise<{valid: boolean, value: *, issues: *}>} - Validation result (sync or async)
+ */
+export function validateWithStandardSchema(schema, data, context, island) {
+  if (!schema || !schema['~standard']) {
+    return { valid: true, value: data, issues: null };
+  }
+
+  const fail = (code, message, issues) => {
+    reportError(code, message, { component: context, element: island, cause: issues });
+    return { valid: false, value: null, issues };
+  };
+  const check = (result) =>
+    result.issues
+      ? fail('ERR_SCHEMA', `Schema validation failed for "${context}":`, result.issues)
+      : { valid: true, value: result.value, issues: null };
+  const broken = (err) => fail('ERR_VALIDATOR', `Validator Error for "${context}":`, err);
+
+  try {
+    const result = schema['~standard'].validate(data);
+    // Async validators return a Promise
+    return result instanceof Promise ? result.then(check, broken) : check(result);
+  } catch (err) {
+    return broken(err);
+  }
+}
+
+/**
+ * Validates that a component name is alphanumeric (with optional underscores/hyphens).
+ * Prevents injection attacks via component names.
+ * @param {string} name - Component name to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+export function isValidComponentName(name) {
+  if (!name || typeof name !== 'string') return false;
+  // Allow alphanumeric, underscores, and hyphens (common component naming patterns)
+  return /^[a-zA-Z0-9_-]+$/.test(name);
+}
@@ -4,13 +4,16 @@
  */
 
 // Reactivity primitives
-export { val, run, calc } from './core/reactivity.js';
+export { val, run, calc, batch, untrack, on, createRoot, onCleanup } from './core/reactivity.js';
 
 // Component utilities
-export { defineComponent } from './core/component.js';
+export { defineComponent, onMount, onUpdate, onUnmount } from './core/component.js';
+
+// Error reporting
+export { configure } from './core/errors.js';
 
 // Client hydration
-export { register, hydrate } from './core/client.js';
+export { register, hydrate, unmount, unmountAll, getIsland } from './core/client.js';
 
-// Re-export renderer abstraction (wraps uhtml)
-export { html, render } from './core/renderer.js';
+// Re-export renderer abstraction (uhtml by default, see setRenderer())
+export { html, render, setRenderer } from './core/renderer.js';
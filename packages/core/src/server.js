@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Server API for front.js
+ * Everything a component needs to render to a string without a DOM. Node
+ * resolves `@frontjs/core` and its browser-only entries (`each`, `lazy`,
+ * `observe`, `strategies`, `props`, `fallbacks`) to this entry (the `node` export
+ * condition), and `@frontjs/core/server` selects it anywhere. It has every
+ * export of the browser entries, so component modules load unchanged:
+ * browser-only APIs (register, hydrate, render, ...) are server versions that do nothing.
+ * @module front/server
+ */
+
+// Reactivity primitives
+export { val, run, calc, batch, untrack, on, createRoot, onCleanup } from './core/reactivity.js';
+export { store, produce, reconcile } from './core/store.js';
+export { resource } from './core/resource.js';
+
+// Component utilities
+export { defineComponent, onMount, onUpdate, onUnmount } from './core/ssr.js';
+
+// Error reporting
+export { configure } from './core/errors.js';
+
+// Client hydration (nothing to hydrate on the server)
+export {
+  register,
+  registerLazy,
+  hydrate,
+  observe,
+  unmount,
+  unmountAll,
+  getIsland,
+} from './core/ssr.js';
+
+// Server rendering
+export {
+  html,
+  render,
+  each,
+  setRenderer,
+  island,
+  renderToString,
+  renderToStream,
+} from './core/ssr.js';
+export { renderTemplate } from './core/markup.js';
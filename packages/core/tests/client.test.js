@@ -1,8 +1,23 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { html } from 'uhtml';
-import { val } from '../src/core/reactivity.js';
-import { register, hydrate } from '../src/core/client.js';
-import { createTestDOM } from './setup.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { html, setRenderer } from '../src/core/renderer.js';
+import { val, run } from '../src/core/reactivity.js';
+import { register, hydrate, unmount, unmountAll, getIsland } from '../src/core/client.js';
+import { registerLazy } from '../src/core/lazy.js';
+import { observe } from '../src/core/observe.js';
+import '../src/core/strategies.js';
+import '../src/core/props.js';
+import '../src/core/fallbacks.js';
+import {
+  html as serverHtml,
+  island,
+  renderToString,
+  renderToStream,
+  setRenderer as setServerRenderer,
+} from '../src/core/ssr.js';
+import { uhtmlAdapter } from '../src/adapters/uhtml.js';
+import { withHydration } from '../src/adapters/hydration.js';
+import { configure } from '../src/core/errors.js';
+import { createTestDOM, createIsland, delay } from './setup.js';
 
 describe('client', () => {
   let testDOM;
@@ -82,7 +97,7 @@ describe('client', () => {
       hydrate();
       
       expect(island.textContent).toContain('Count: 42');
-      expect(island.hasAttribute('data-island')).toBe(false);
+      expect(island.hasAttribute('data-hydrated')).toBe(true);
     });
 
     it('handles missing component name', () => {
@@ -179,6 +194,33 @@ describe('client', () => {
       expect(island2.textContent).toContain('Second');
     });
 
+    it('disposes setup-time runs with the island', () => {
+      const tick = val(0);
+      let runCount = 0;
+
+      const Component = () => {
+        run(() => {
+          tick();
+          runCount++;
+        });
+        return () => html`<div>Timer</div>`;
+      };
+
+      register('TimerComponent', Component);
+
+      const island = document.createElement('div');
+      island.setAttribute('data-island', '');
+      island.setAttribute('data-component', 'TimerComponent');
+      document.body.appendChild(island);
+
+      hydrate();
+      expect(runCount).toBe(1);
+
+      unmount(island);
+      tick(1);
+      expect(runCount).toBe(1);
+    });
+
     it('handles component initialization errors', () => {
       const consoleError = console.error;
       const errors = [];
@@ -234,7 +276,7 @@ describe('client', () => {
       await hydrate();
 
       expect(island.textContent).toContain('Safe');
-      expect(island.hasAttribute('data-island')).toBe(false);
+      expect(island.hasAttribute('data-hydrated')).toBe(true);
     });
 
     it('aborts hydration when validation fails', async () => {
@@ -255,8 +297,8 @@ describe('client', () => {
 
       await hydrate();
 
-      // Island marker should remain (hydration skipped)
-      expect(island.hasAttribute('data-island')).toBe(true);
+      // Island is not marked as hydrated (hydration skipped)
+      expect(island.hasAttribute('data-hydrated')).toBe(false);
       expect(island.innerHTML).toBe(''); // Nothing rendered
       expect(errors.length).toBeGreaterThan(0);
       expect(errors[0][0]).toContain('Schema validation failed');
@@ -316,5 +358,1304 @@ describe('client', () => {
       expect(island.textContent).toContain('async');
     });
   });
-});
 
+  describe('lazy hydration', () => {
+    beforeEach(() => {
+      register('LazyComp', () => () => html`<div>Hydrated</div>`);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('hydrates load islands immediately', () => {
+      const island = createIsland('LazyComp', { 'data-hydrate': 'load' });
+      hydrate();
+      expect(island.textContent).toContain('Hydrated');
+    });
+
+    it('hydrates idle islands in an idle callback', () => {
+      const callbacks = [];
+      vi.stubGlobal('requestIdleCallback', (cb) => callbacks.push(cb));
+      const island = createIsland('LazyComp', { 'data-hydrate': 'idle' });
+
+      hydrate();
+      expect(island.textContent).toBe('');
+
+      callbacks[0]();
+      expect(island.textContent).toContain('Hydrated');
+    });
+
+    it('falls back to a timeout without requestIdleCallback', async () => {
+      vi.stubGlobal('requestIdleCallback', undefined);
+      const island = createIsland('LazyComp', { 'data-hydrate': 'idle' });
+
+      hydrate();
+      expect(island.textContent).toBe('');
+
+      await delay(5);
+      expect(island.textContent).toContain('Hydrated');
+    });
+
+    it('hydrates visible islands when they intersect', () => {
+      let trigger;
+      const disconnect = vi.fn();
+      vi.stubGlobal(
+        'IntersectionObserver',
+        class {
+          constructor(cb) {
+            trigger = (isIntersecting) => cb([{ isIntersecting }]);
+          }
+          observe() {}
+          disconnect() {
+            disconnect();
+          }
+        }
+      );
+      const island = createIsland('LazyComp', { 'data-hydrate': 'visible' });
+
+      hydrate();
+      trigger(false);
+      expect(island.textContent).toBe('');
+
+      trigger(true);
+      expect(island.textContent).toContain('Hydrated');
+      expect(disconnect).toHaveBeenCalled();
+    });
+
+    it('hydrates media islands once the query matches', () => {
+      let listener;
+      const mql = {
+        matches: false,
+        addEventListener: (type, cb) => (listener = cb),
+        removeEventListener: vi.fn(),
+      };
+      const matchMedia = vi.fn(() => mql);
+      vi.stubGlobal('matchMedia', matchMedia);
+      const island = createIsland('LazyComp', {
+        'data-hydrate': 'media',
+        'data-hydrate-media': '(min-width: 1024px)',
+      });
+
+      hydrate();
+      expect(matchMedia).toHaveBeenCalledWith('(min-width: 1024px)');
+      expect(island.textContent).toBe('');
+
+      listener({ matches: true });
+      expect(island.textContent).toContain('Hydrated');
+      expect(mql.removeEventListener).toHaveBeenCalled();
+    });
+
+    it('hydrates media islands immediately when the query already matches', () => {
+      vi.stubGlobal('matchMedia', () => ({ matches: true }));
+      const island = createIsland('LazyComp', {
+        'data-hydrate': 'media',
+        'data-hydrate-media': '(min-width: 1px)',
+      });
+      hydrate();
+      expect(island.textContent).toContain('Hydrated');
+    });
+
+    it('hydrates interaction islands on the first interaction', () => {
+      const island = createIsland('LazyComp', { 'data-hydrate': 'interaction' });
+
+      hydrate();
+      expect(island.textContent).toBe('');
+
+      island.dispatchEvent(new Event('focusin', { bubbles: true }));
+      expect(island.textContent).toContain('Hydrated');
+    });
+
+    it('does not schedule an island twice', () => {
+      const callbacks = [];
+      vi.stubGlobal('requestIdleCallback', (cb) => callbacks.push(cb));
+      createIsland('LazyComp', { 'data-hydrate': 'idle' });
+
+      hydrate();
+      hydrate();
+      expect(callbacks.length).toBe(1);
+    });
+
+    it('warns about unknown strategies and hydrates immediately', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const island = createIsland('LazyComp', { 'data-hydrate': 'someday' });
+
+      hydrate();
+      expect(warn.mock.calls[0][0]).toContain('Unknown data-hydrate strategy "someday"');
+      expect(island.textContent).toContain('Hydrated');
+      warn.mockRestore();
+    });
+  });
+
+  describe('registerLazy', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+      vi.unstubAllGlobals();
+    });
+
+    it('loads the module default export when an island is found', async () => {
+      const loader = vi.fn(async () => ({
+        default: (props) => () => html`<div>Lazy ${props.n}</div>`,
+      }));
+      registerLazy('LazyDefault', loader);
+      expect(loader).not.toHaveBeenCalled();
+
+      const island = createIsland('LazyDefault', { 'data-props': '{"n":1}' });
+      await hydrate();
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(island.textContent).toContain('Lazy 1');
+    });
+
+    it('does not load components without islands', async () => {
+      const loader = vi.fn(async () => ({ default: () => () => html`<div></div>` }));
+      registerLazy('LazyUnused', loader);
+      await hydrate();
+      expect(loader).not.toHaveBeenCalled();
+    });
+
+    it('accepts a named export matching the component name', async () => {
+      registerLazy('LazyNamed', async () => ({ LazyNamed: () => () => html`<div>Named</div>` }));
+      const island = createIsland('LazyNamed');
+      await hydrate();
+      expect(island.textContent).toContain('Named');
+    });
+
+    it('shares one in-flight load between islands', async () => {
+      const loader = vi.fn(async () => ({ default: () => () => html`<div>Shared</div>` }));
+      registerLazy('LazyShared', loader);
+      const first = createIsland('LazyShared');
+      const second = createIsland('LazyShared');
+
+      await hydrate();
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(first.textContent).toContain('Shared');
+      expect(second.textContent).toContain('Shared');
+    });
+
+    it('waits for the hydration trigger of deferred islands', async () => {
+      const callbacks = [];
+      vi.stubGlobal('requestIdleCallback', (cb) => callbacks.push(cb));
+      const loader = vi.fn(async () => ({ default: () => () => html`<div>Idle</div>` }));
+      registerLazy('LazyIdle', loader);
+      const island = createIsland('LazyIdle', { 'data-hydrate': 'idle' });
+
+      await hydrate();
+      expect(loader).not.toHaveBeenCalled();
+
+      callbacks[0]();
+      await delay(0);
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(island.textContent).toContain('Idle');
+    });
+
+    it('does not mount an island twice while it is loading', async () => {
+      const setup = vi.fn(() => () => html`<div>Once</div>`);
+      registerLazy('LazyOnce', async () => ({ default: setup }));
+      createIsland('LazyOnce');
+
+      await Promise.all([hydrate(), hydrate()]);
+      expect(setup).toHaveBeenCalledTimes(1);
+    });
+
+    it('mounts with the latest props after unmounting during a load', async () => {
+      let resolve;
+      const setup = vi.fn((props) => () => html`<div>Version ${props.v}</div>`);
+      registerLazy('LazyStale', () => new Promise((done) => (resolve = done)));
+      const island = createIsland('LazyStale', { 'data-props': '{"v":1}' });
+
+      const stale = hydrate();
+      unmount(island);
+      island.setAttribute('data-props', '{"v":2}');
+      const fresh = hydrate();
+      resolve({ default: setup });
+      await Promise.all([stale, fresh]);
+
+      expect(setup).toHaveBeenCalledTimes(1);
+      expect(setup.mock.calls[0][0].v).toBe(2);
+      expect(getIsland(island).props.v).toBe(2);
+      expect(island.textContent).toContain('Version 2');
+    });
+
+    it('reports load failures and retries on the next hydration', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const loader = vi
+        .fn()
+        .mockRejectedValueOnce(new Error('Network down'))
+        .mockResolvedValueOnce({ default: () => () => html`<div>Retried</div>` });
+      registerLazy('LazyRetry', loader);
+      const island = createIsland('LazyRetry');
+
+      await hydrate();
+      expect(error.mock.calls[0][0]).toBe('[frontjs] Failed to load component "LazyRetry".');
+      expect(error.mock.calls[0][1].message).toBe('Network down');
+      expect(getIsland(island).status).toBe('failed');
+
+      await hydrate();
+      expect(loader).toHaveBeenCalledTimes(2);
+      expect(island.textContent).toContain('Retried');
+    });
+
+    it('reports loads that exceed the timeout', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      registerLazy('LazySlow', () => new Promise(() => {}), { timeout: 5 });
+      createIsland('LazySlow');
+
+      await hydrate();
+      expect(error.mock.calls[0][1].message).toBe('Loading timed out after 5ms.');
+    });
+
+    it('reports modules without a component export', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      registerLazy('LazyEmpty', async () => ({ other: 1 }));
+      createIsland('LazyEmpty');
+
+      await hydrate();
+      expect(error.mock.calls[0][1].message).toBe(
+        'Module has no default export or "LazyEmpty" export.'
+      );
+    });
+
+    it('rejects invalid names and loaders', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      registerLazy('Bad Name!', async () => ({}));
+      registerLazy('NoLoader', 'nope');
+      expect(error).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('observe', () => {
+    let stop;
+
+    beforeEach(() => {
+      register('Observed', () => () => html`<div>Observed</div>`);
+    });
+
+    afterEach(() => {
+      if (stop) stop();
+      stop = null;
+      vi.unstubAllGlobals();
+    });
+
+    it('hydrates existing islands', () => {
+      const island = createIsland('Observed');
+
+      stop = observe();
+      expect(island.textContent).toContain('Observed');
+    });
+
+    it('hydrates islands added later, including nested ones', async () => {
+      stop = observe();
+
+      const island = createIsland('Observed');
+      const wrapper = document.createElement('section');
+      const nested = createIsland('Observed');
+      wrapper.appendChild(nested);
+      document.body.append(island, wrapper);
+      await delay(0);
+
+      expect(island.textContent).toContain('Observed');
+      expect(nested.textContent).toContain('Observed');
+    });
+
+    it('disposes islands removed from the DOM', async () => {
+      const tick = val(0);
+      let runs = 0;
+      register('ObservedTimer', () => {
+        run(() => {
+          tick();
+          runs++;
+        });
+        return () => html`<div>Timer</div>`;
+      });
+      const wrapper = document.createElement('section');
+      const island = createIsland('ObservedTimer');
+      wrapper.appendChild(island);
+      document.body.appendChild(wrapper);
+      stop = observe();
+      expect(runs).toBe(1);
+
+      wrapper.remove();
+      await delay(0);
+
+      tick(1);
+      expect(runs).toBe(1);
+      expect(getIsland(island).status).toBe('unmounted');
+    });
+
+    it('dispatches front:disposed on the root for removed islands', async () => {
+      const disposed = vi.fn();
+      const wrapper = document.createElement('section');
+      const island = createIsland('Observed');
+      wrapper.appendChild(island);
+      document.body.appendChild(wrapper);
+      document.body.addEventListener('front:disposed', disposed);
+      stop = observe();
+
+      wrapper.remove();
+      await delay(0);
+      document.body.removeEventListener('front:disposed', disposed);
+
+      expect(disposed).toHaveBeenCalledTimes(1);
+      expect(disposed.mock.calls[0][0].detail).toEqual({ name: 'Observed', element: island });
+    });
+
+    it('keeps islands that are moved within the DOM', async () => {
+      const tick = val(0);
+      let runs = 0;
+      register('ObservedMoved', () => {
+        run(() => {
+          tick();
+          runs++;
+        });
+        return () => html`<div>Moved</div>`;
+      });
+      const island = createIsland('ObservedMoved');
+      const target = document.createElement('section');
+      document.body.append(island, target);
+      stop = observe();
+
+      target.appendChild(island);
+      await delay(0);
+
+      tick(1);
+      expect(runs).toBe(2);
+    });
+
+    it('stops waiting for the trigger of removed deferred islands', async () => {
+      const disconnect = vi.fn();
+      vi.stubGlobal(
+        'IntersectionObserver',
+        class {
+          observe() {}
+          disconnect() {
+            disconnect();
+          }
+        }
+      );
+      const island = createIsland('Observed', { 'data-hydrate': 'visible' });
+      stop = observe();
+
+      island.remove();
+      await delay(0);
+      expect(disconnect).toHaveBeenCalled();
+    });
+
+    it('stops watching when the stop function is called', async () => {
+      stop = observe();
+      stop();
+
+      const island = createIsland('Observed');
+      await delay(0);
+      expect(island.textContent).toBe('');
+    });
+  });
+
+  describe('unmount', () => {
+    let tick;
+    let runs;
+    const labelA = { 'data-props': '{"label":"A"}' };
+
+    beforeEach(() => {
+      tick = val(0);
+      runs = 0;
+      register('Unmountable', (props) => {
+        run(() => {
+          tick();
+          runs++;
+        });
+        return () => html`<div>${props.label}</div>`;
+      });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('disposes a hydrated island', () => {
+      const island = createIsland('Unmountable', labelA);
+      hydrate();
+
+      expect(unmount(island)).toBe(true);
+      tick(1);
+      expect(runs).toBe(1);
+      expect(island.hasAttribute('data-hydrated')).toBe(false);
+      expect(island.hasAttribute('data-island')).toBe(true);
+    });
+
+    it('leaves no expandos on the island', () => {
+      const island = createIsland('Unmountable', labelA);
+      hydrate();
+      expect(Object.keys(island).filter((key) => key.startsWith('_front'))).toEqual([]);
+    });
+
+    it('returns false for elements that are not mounted', () => {
+      const island = createIsland('Unmountable', labelA);
+      expect(unmount(island)).toBe(false);
+      expect(unmount(null)).toBe(false);
+
+      hydrate();
+      unmount(island);
+      expect(unmount(island)).toBe(false);
+    });
+
+    it('lets hydrate() mount an unmounted island again', () => {
+      const island = createIsland('Unmountable', labelA);
+      hydrate();
+      unmount(island);
+
+      hydrate();
+      expect(runs).toBe(2);
+      expect(getIsland(island).status).toBe('hydrated');
+      expect(island.hasAttribute('data-hydrated')).toBe(true);
+    });
+
+    it('does not hydrate an island twice', () => {
+      createIsland('Unmountable', labelA);
+      hydrate();
+      hydrate();
+      expect(runs).toBe(1);
+    });
+
+    it('cancels deferred islands', () => {
+      const disconnect = vi.fn();
+      vi.stubGlobal(
+        'IntersectionObserver',
+        class {
+          observe() {}
+          disconnect() {
+            disconnect();
+          }
+        }
+      );
+      const island = createIsland('Unmountable', { ...labelA, 'data-hydrate': 'visible' });
+      hydrate();
+      expect(getIsland(island).status).toBe('pending');
+
+      expect(unmount(island)).toBe(true);
+      expect(disconnect).toHaveBeenCalled();
+    });
+
+    it('does not mount an island unmounted while loading', async () => {
+      const setup = vi.fn(() => () => html`<div>Late</div>`);
+      registerLazy('UnmountedLazy', async () => ({ default: setup }));
+      const island = createIsland('UnmountedLazy', labelA);
+
+      const done = hydrate();
+      expect(getIsland(island).status).toBe('loading');
+      unmount(island);
+      await done;
+
+      expect(setup).not.toHaveBeenCalled();
+      expect(getIsland(island).status).toBe('unmounted');
+    });
+
+    it('unmountAll() unmounts every island in a subtree', () => {
+      const section = document.createElement('section');
+      document.body.appendChild(section);
+      const inside = createIsland('Unmountable', labelA);
+      const outside = createIsland('Unmountable', labelA);
+      section.appendChild(inside);
+      hydrate();
+
+      expect(unmountAll(section)).toBe(1);
+      expect(getIsland(inside).status).toBe('unmounted');
+      expect(getIsland(outside).status).toBe('hydrated');
+    });
+  });
+
+  describe('getIsland', () => {
+    it('returns name, props and status', () => {
+      register('Described', () => () => html`<div>Described</div>`);
+      const island = document.createElement('div');
+      island.setAttribute('data-island', '');
+      island.setAttribute('data-component', 'Described');
+      island.setAttribute('data-props', '{"id":7}');
+      document.body.appendChild(island);
+
+      expect(getIsland(island)).toBeNull();
+      hydrate();
+      expect(getIsland(island)).toEqual({ name: 'Described', props: { id: 7 }, status: 'hydrated' });
+    });
+
+    it('reports failed islands', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      register('Broken', () => {
+        throw new Error('boom');
+      });
+      const island = document.createElement('div');
+      island.setAttribute('data-island', '');
+      island.setAttribute('data-component', 'Broken');
+      document.body.appendChild(island);
+
+      hydrate();
+      expect(getIsland(island).status).toBe('failed');
+      error.mockRestore();
+    });
+  });
+
+  describe('props sources', () => {
+    const createScript = (json, attrs = {}, type = 'application/json') => {
+      const script = document.createElement('script');
+      script.type = type;
+      script.textContent = json;
+      Object.entries(attrs).forEach(([name, value]) => script.setAttribute(name, value));
+      document.body.appendChild(script);
+      return script;
+    };
+
+    beforeEach(() => {
+      register('PropsComp', (props) => () => html`<div>${props.title}</div>`);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('reads props from a JSON script referenced by data-props-id', () => {
+      createScript('{"title":"From <script>"}', { id: 'props-1' });
+      const island = createIsland('PropsComp', { 'data-props-id': 'props-1' });
+
+      hydrate();
+      expect(island.textContent).toContain('From <script>');
+    });
+
+    it('reads props from a page-level payload keyed by island id', () => {
+      createScript('{"hero":{"title":"Hero"},"footer":{"title":"Footer"}}', {
+        'data-front-props': '',
+      });
+      const hero = createIsland('PropsComp', { id: 'hero' });
+      const footer = createIsland('PropsComp', { id: 'footer' });
+
+      hydrate();
+      expect(hero.textContent).toContain('Hero');
+      expect(footer.textContent).toContain('Footer');
+    });
+
+    it('prefers data-props over other sources', () => {
+      createScript('{"title":"Script"}', { id: 'props-2' });
+      const island = createIsland('PropsComp', {
+        'data-props': '{"title":"Inline"}',
+        'data-props-id': 'props-2',
+      });
+
+      hydrate();
+      expect(island.textContent).toContain('Inline');
+    });
+
+    it('uses empty props when the payload has no entry for the island', () => {
+      createScript('{"other":{"title":"Other"}}', { 'data-front-props': '' });
+      const island = createIsland('PropsComp', { id: 'missing' });
+
+      hydrate();
+      expect(getIsland(island).props).toEqual({});
+    });
+
+    it('rejects data-props-id pointing at a missing or non-JSON element', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      createScript('{"title":"Text"}', { id: 'not-json' }, 'text/plain');
+      const missing = createIsland('PropsComp', { 'data-props-id': 'nope' });
+      const wrongType = createIsland('PropsComp', { 'data-props-id': 'not-json' });
+
+      hydrate();
+      expect(error.mock.calls[0][0]).toContain('data-props-id "nope"');
+      expect(error.mock.calls[1][0]).toContain('data-props-id "not-json"');
+      expect(getIsland(missing).status).toBe('failed');
+      expect(getIsland(wrongType).status).toBe('failed');
+    });
+
+    it('reports invalid JSON in props scripts', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      createScript('{broken', { id: 'broken' });
+      const island = createIsland('PropsComp', { 'data-props-id': 'broken' });
+
+      hydrate();
+      expect(error.mock.calls[0][0]).toContain('Invalid JSON');
+      expect(island.hasAttribute('data-hydrated')).toBe(false);
+    });
+
+    it('validates script props with the component schema', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      register('SchemaProps', (props) => () => html`<div>${props.title}</div>`, {
+        schema: {
+          '~standard': {
+            version: 1,
+            vendor: 'mock',
+            validate: (value) =>
+              typeof value.title === 'string' ? { value } : { issues: [{ message: 'title' }] },
+          },
+        },
+      });
+      createScript('{"ok":{"title":"Valid"},"bad":{"title":1}}', { 'data-front-props': '' });
+      const ok = createIsland('SchemaProps', { id: 'ok' });
+      const bad = createIsland('SchemaProps', { id: 'bad' });
+
+      hydrate();
+      expect(ok.textContent).toContain('Valid');
+      expect(bad.hasAttribute('data-hydrated')).toBe(false);
+      expect(error.mock.calls[0][0]).toContain('Schema validation failed');
+    });
+  });
+
+  describe('reactive props', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('re-renders when data-props changes', async () => {
+      register('Greeting', (props) => () => html`<p>Hello ${props.name}</p>`);
+      const island = createIsland('Greeting', { 'data-props': '{"name":"Ada"}' });
+      hydrate();
+      expect(island.textContent).toContain('Hello Ada');
+
+      island.setAttribute('data-props', JSON.stringify({ name: 'Grace' }));
+      await delay(0);
+      expect(island.textContent).toContain('Hello Grace');
+    });
+
+    it('only notifies fields that changed', async () => {
+      const spyA = vi.fn();
+      const spyB = vi.fn();
+      register('TwoFields', (props) => {
+        run(() => spyA(props.a));
+        run(() => spyB(props.b.label));
+        return () => html`<div></div>`;
+      });
+      const island = createIsland('TwoFields', { 'data-props': '{"a":1,"b":{"label":"x"}}' });
+      hydrate();
+
+      island.setAttribute('data-props', JSON.stringify({ a: 2, b: { label: 'x' } }));
+      await delay(0);
+      expect(spyA).toHaveBeenCalledTimes(2);
+      expect(spyA).toHaveBeenLastCalledWith(2);
+      expect(spyB).toHaveBeenCalledTimes(1);
+    });
+
+    it('re-validates props and ignores invalid updates', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      register('Validated', (props) => () => html`<p>${props.count}</p>`, {
+        schema: {
+          '~standard': {
+            version: 1,
+            vendor: 'mock',
+            validate: (value) =>
+              typeof value.count === 'number'
+                ? { value: { count: value.count * 10 } }
+                : { issues: [{ message: 'count must be a number' }] },
+          },
+        },
+      });
+      const island = createIsland('Validated', { 'data-props': '{"count":1}' });
+      hydrate();
+      expect(island.textContent).toContain('10');
+
+      island.setAttribute('data-props', JSON.stringify({ count: 'nope' }));
+      await delay(0);
+      expect(error.mock.calls[0][0]).toContain('Schema validation failed');
+      expect(island.textContent).toContain('10');
+
+      island.setAttribute('data-props', JSON.stringify({ count: 2 }));
+      await delay(0);
+      expect(island.textContent).toContain('20');
+    });
+
+    it('ignores invalid JSON updates', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      register('JsonUpdate', (props) => () => html`<p>${props.text}</p>`);
+      const island = createIsland('JsonUpdate', { 'data-props': '{"text":"kept"}' });
+      hydrate();
+
+      island.setAttribute('data-props', '{oops');
+      await delay(0);
+      expect(error.mock.calls[0][0]).toContain('Invalid JSON');
+      expect(island.textContent).toContain('kept');
+    });
+
+    it('stops watching props after unmount', async () => {
+      const spy = vi.fn();
+      register('Watched', (props) => {
+        run(() => spy(props.value));
+        return () => html`<div></div>`;
+      });
+      const island = createIsland('Watched', { 'data-props': '{"value":1}' });
+      hydrate();
+      unmount(island);
+
+      island.setAttribute('data-props', JSON.stringify({ value: 2 }));
+      await delay(0);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('nested islands', () => {
+    let order;
+
+    const mountMarkup = (markup) => {
+      const container = document.createElement('div');
+      container.innerHTML = markup;
+      document.body.appendChild(container);
+      return container;
+    };
+
+    beforeEach(() => {
+      order = [];
+      register('Child', (props) => {
+        order.push(`child:${props.label}`);
+        return () => html`<span>Child ${props.label}</span>`;
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('hydrates children after the parent and passes them as slots', () => {
+      register('Panel', (props, { slots }) => {
+        order.push('parent');
+        return () => html`<section>Panel ${slots.body}</section>`;
+      });
+      const container = mountMarkup(`
+        <div data-island data-component="Panel">
+          <div data-island data-component="Child" data-slot="body" data-props='{"label":"A"}'></div>
+        </div>`);
+
+      hydrate();
+
+      const child = container.querySelector('[data-component="Child"]');
+      expect(order).toEqual(['parent', 'child:A']);
+      expect(container.querySelector('section').contains(child)).toBe(true);
+      expect(child.textContent).toContain('Child A');
+      expect(getIsland(child).status).toBe('hydrated');
+    });
+
+    it('keys slots by data-slot, id, then position', () => {
+      let received;
+      register('Keys', (props, { slots }) => {
+        received = Object.keys(slots);
+        return () => html`<div>${Object.values(slots)}</div>`;
+      });
+      mountMarkup(`
+        <div data-island data-component="Keys">
+          <div data-island data-component="Child" data-slot="named"></div>
+          <div data-island data-component="Child" id="with-id"></div>
+          <div data-island data-component="Child"></div>
+        </div>`);
+
+      hydrate();
+      expect(received.sort()).toEqual(['2', 'named', 'with-id']);
+    });
+
+    it('keeps child state across parent re-renders and hydrates children once', async () => {
+      const count = val(0);
+      register('Counter', (props, { slots }) => () => html`<div>${count()} ${slots[0]}</div>`);
+      const container = mountMarkup(`
+        <div data-island data-component="Counter">
+          <div data-island data-component="Child" data-props='{"label":"B"}'></div>
+        </div>`);
+      const child = container.querySelector('[data-component="Child"]');
+
+      hydrate();
+      hydrate();
+      count(1);
+      await delay(0);
+
+      expect(order).toEqual(['child:B']);
+      expect(container.querySelector('[data-component="Child"]')).toBe(child);
+      expect(child.textContent).toContain('Child B');
+    });
+
+    it('does not hydrate children dropped by the parent render', () => {
+      register('Dropper', () => () => html`<div>No slots</div>`);
+      const container = mountMarkup(`
+        <div data-island data-component="Dropper">
+          <div data-island data-component="Child" data-props='{"label":"C"}'></div>
+        </div>`);
+
+      hydrate();
+      expect(order).toEqual([]);
+      expect(container.textContent).toContain('No slots');
+    });
+
+    it('hydrates children in place when the parent fails', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const container = mountMarkup(`
+        <div data-island data-component="MissingParent">
+          <div data-island data-component="Child" data-props='{"label":"D"}'></div>
+        </div>`);
+
+      hydrate();
+      expect(order).toEqual(['child:D']);
+      expect(container.textContent).toContain('Child D');
+    });
+
+    it('waits for a deferred parent', () => {
+      register('Lazy', (props, { slots }) => () => html`<div>${slots[0]}</div>`);
+      const container = mountMarkup(`
+        <div data-island data-component="Lazy" data-hydrate="interaction">
+          <div data-island data-component="Child" data-props='{"label":"E"}'></div>
+        </div>`);
+
+      hydrate();
+      expect(order).toEqual([]);
+
+      container.firstElementChild.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+      expect(order).toEqual(['child:E']);
+    });
+
+    it('unmounts children with their parent', () => {
+      const tick = val(0);
+      let runs = 0;
+      register('Ticking', () => {
+        run(() => {
+          tick();
+          runs++;
+        });
+        return () => html`<span>tick</span>`;
+      });
+      register('Outer', (props, { slots }) => () => html`<div>${slots.inner}</div>`);
+      const container = mountMarkup(`
+        <div data-island data-component="Outer">
+          <div data-island data-component="Ticking" data-slot="inner"></div>
+        </div>`);
+      const parent = container.firstElementChild;
+      const child = container.querySelector('[data-component="Ticking"]');
+
+      hydrate();
+      unmount(parent);
+      tick(1);
+
+      expect(runs).toBe(1);
+      expect(getIsland(child).status).toBe('unmounted');
+    });
+  });
+
+  describe('lifecycle events and report', () => {
+    const recordEvents = () => {
+      const events = [];
+      ['hydrating', 'hydrated', 'error', 'disposed'].forEach((type) => {
+        document.body.addEventListener(`front:${type}`, (event) =>
+          events.push({ type: event.type, target: event.target, detail: event.detail })
+        );
+      });
+      return events;
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      register('Reported', (props) => () => html`<div>${props.label}</div>`);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      vi.unstubAllGlobals();
+    });
+
+    it('dispatches hydrating and hydrated events that bubble', () => {
+      const events = recordEvents();
+      const island = createIsland('Reported', { 'data-props': '{"label":"x"}' });
+
+      hydrate();
+
+      expect(events.map((event) => event.type)).toEqual(['front:hydrating', 'front:hydrated']);
+      expect(events[1].target).toBe(island);
+      expect(events[1].detail.name).toBe('Reported');
+      expect(events[1].detail.props.label).toBe('x');
+    });
+
+    it('dispatches error events with a reason', () => {
+      register('Throws', () => {
+        throw new Error('setup failed');
+      });
+      const events = recordEvents();
+      createIsland('Throws');
+
+      hydrate();
+
+      const error = events.find((event) => event.type === 'front:error');
+      expect(error.detail.name).toBe('Throws');
+      expect(error.detail.reason).toBe('Error initializing component "Throws".');
+      expect(error.detail.error.message).toBe('setup failed');
+    });
+
+    it('dispatches a disposed event on unmount', () => {
+      const events = recordEvents();
+      const island = createIsland('Reported');
+      hydrate();
+
+      unmount(island);
+      expect(events.at(-1)).toMatchObject({ type: 'front:disposed', target: island });
+      expect(events.at(-1).detail).toEqual({ name: 'Reported' });
+    });
+
+    it('resolves to a report of hydrated, skipped, invalid and failed islands', async () => {
+      register('Broken', () => 'not a render function');
+      register('Strict', () => () => html`<div></div>`, {
+        schema: {
+          '~standard': { version: 1, vendor: 'mock', validate: () => ({ issues: [{ message: 'no' }] }) },
+        },
+      });
+      vi.stubGlobal('requestIdleCallback', () => 1);
+
+      const ok = createIsland('Reported');
+      const unknown = createIsland('Unknown');
+      const deferred = createIsland('Reported', { 'data-hydrate': 'idle' });
+      const badJson = createIsland('Reported', { 'data-props': '{nope' });
+      const noName = createIsland(null);
+      const rejected = createIsland('Strict');
+      const broken = createIsland('Broken');
+
+      const report = await hydrate();
+
+      expect(report.hydrated).toEqual([{ element: ok, name: 'Reported' }]);
+      expect(report.skipped).toEqual([
+        { element: unknown, name: 'Unknown', reason: 'Component "Unknown" is not registered.' },
+        { element: deferred, name: 'Reported', reason: 'Deferred until "idle".' },
+      ]);
+      expect(report.invalid.map((entry) => [entry.element, entry.reason])).toEqual([
+        [badJson, 'Invalid JSON in props.'],
+        [noName, 'Missing data-component attribute.'],
+        [rejected, 'Schema validation failed.'],
+      ]);
+      expect(report.invalid[2].error).toEqual([{ message: 'no' }]);
+      expect(report.failed.map((entry) => entry.reason)).toEqual([
+        'Component "Broken" did not return a render function.',
+      ]);
+      expect(broken.hasAttribute('data-hydrated')).toBe(false);
+    });
+
+    it('reports islands that are already hydrated as skipped', async () => {
+      const island = createIsland('Reported');
+      await hydrate();
+
+      const report = await hydrate();
+      expect(report.hydrated).toEqual([]);
+      expect(report.skipped).toEqual([
+        { element: island, name: 'Reported', reason: 'Already hydrated.' },
+      ]);
+    });
+
+    it('includes nested islands and lazy load failures', async () => {
+      registerLazy('Unreachable', () => Promise.reject(new Error('offline')));
+      register('Parent', (props, { slots }) => () => html`<div>${slots[0]}</div>`);
+      const parent = createIsland('Parent');
+      const child = document.createElement('div');
+      child.setAttribute('data-island', '');
+      child.setAttribute('data-component', 'Reported');
+      parent.appendChild(child);
+      const lazy = createIsland('Unreachable');
+
+      const report = await hydrate();
+
+      expect(report.hydrated.map((entry) => entry.element)).toEqual([parent, child]);
+      expect(report.failed).toEqual([
+        {
+          element: lazy,
+          name: 'Unreachable',
+          reason: 'Failed to load component "Unreachable".',
+          error: new Error('offline'),
+        },
+      ]);
+    });
+  });
+
+  describe('fallbacks', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('leaves the server HTML in place when setup fails without a fallback', () => {
+      register('NoFallback', () => {
+        throw new Error('setup failed');
+      });
+      const island = createIsland('NoFallback', {}, '<p>Server</p>');
+      hydrate();
+      expect(island.innerHTML).toBe('<p>Server</p>');
+    });
+
+    it('renders the registered fallback when setup fails', () => {
+      register(
+        'SetupFallback',
+        () => {
+          throw new Error('setup failed');
+        },
+        { fallback: (error) => html`<p class="fallback">${error.message}</p>` }
+      );
+      const island = createIsland('SetupFallback', {}, '<p>Server</p>');
+      hydrate();
+      expect(island.querySelector('.fallback').textContent).toBe('setup failed');
+      expect(getIsland(island).status).toBe('failed');
+    });
+
+    it('retry() hydrates a failed island again', async () => {
+      let attempts = 0;
+      let retry;
+      register(
+        'Flaky',
+        () => {
+          attempts++;
+          if (attempts === 1) throw new Error('first attempt');
+          return () => html`<div>Hydrated</div>`;
+        },
+        {
+          fallback: (error, retryFn) => {
+            retry = retryFn;
+            return html`<p>Failed</p>`;
+          },
+        }
+      );
+      const island = createIsland('Flaky');
+      hydrate();
+      expect(island.textContent).toBe('Failed');
+
+      const report = await retry();
+      expect(island.textContent).toBe('Hydrated');
+      expect(getIsland(island).status).toBe('hydrated');
+      expect(report.hydrated).toEqual([{ element: island, name: 'Flaky' }]);
+    });
+
+    it('renders the registered fallback when rendering fails', () => {
+      register('RenderFallback', () => () => {
+        throw new Error('render failed');
+      }, { fallback: () => html`<p>Render fallback</p>` });
+      const island = createIsland('RenderFallback');
+      hydrate();
+      expect(island.textContent).toBe('Render fallback');
+      expect(getIsland(island).status).toBe('hydrated');
+    });
+
+    it('prefers a <template data-fallback> in the island markup', () => {
+      register(
+        'TemplateFallback',
+        () => {
+          throw new Error('setup failed');
+        },
+        { fallback: () => html`<p>Registered</p>` }
+      );
+      const island = createIsland(
+        'TemplateFallback',
+        {},
+        '<p>Server</p><template data-fallback><p class="from-template">Offline</p></template>'
+      );
+      hydrate();
+      expect(island.querySelector('.from-template').textContent).toBe('Offline');
+      expect(island.querySelector('template')).toBeNull();
+    });
+
+    it('binds [data-retry] in markup fallbacks to retry()', async () => {
+      let fail = true;
+      register('TemplateRetry', () => () => {
+        if (fail) throw new Error('render failed');
+        return html`<div>Rendered</div>`;
+      });
+      const island = createIsland(
+        'TemplateRetry',
+        {},
+        '<template data-fallback><button data-retry>Retry</button></template>'
+      );
+      hydrate();
+      expect(island.textContent).toBe('Retry');
+
+      fail = false;
+      island.querySelector('[data-retry]').click();
+      await delay(0);
+      expect(island.textContent).toBe('Rendered');
+    });
+
+    it('restores the server HTML with the "server" fallback', async () => {
+      const broken = val(false);
+      register(
+        'ServerFallback',
+        () => () => {
+          if (broken()) throw new Error('render failed');
+          return html`<div>Client</div>`;
+        },
+        { fallback: 'server' }
+      );
+      const island = createIsland('ServerFallback', {}, '<p>Server <b>HTML</b></p>');
+      hydrate();
+      expect(island.textContent).toBe('Client');
+
+      broken(true);
+      await delay(0);
+      expect(island.querySelector('p').outerHTML).toBe('<p>Server <b>HTML</b></p>');
+    });
+
+    it('renders the fallback when a lazy component fails to load', async () => {
+      registerLazy('LazyFallback', () => Promise.reject(new Error('offline')), {
+        fallback: (error) => html`<p>${error.message}</p>`,
+      });
+      const island = createIsland('LazyFallback');
+      await hydrate();
+      expect(island.textContent).toBe('offline');
+    });
+  });
+
+  describe('server rendering', () => {
+    // Components share their templates with the server, like a page rendered in Node
+    beforeEach(() => {
+      setRenderer(uhtmlAdapter);
+      setServerRenderer(uhtmlAdapter);
+    });
+
+    afterEach(() => {
+      setRenderer(null);
+      setServerRenderer(null);
+    });
+
+    it('hydrates islands rendered by renderToString with the same props', () => {
+      function Price(props) {
+        const quantity = val(props.quantity);
+        return () => html`<p class="price">${quantity()} x ${props.label}</p>
+          <button onclick=${() => quantity(quantity() + 1)}>Add</button>`;
+      }
+      register('Price', Price);
+
+      document.body.innerHTML = renderToString(Price, { quantity: 2, label: '<Tea>' });
+      const island = document.querySelector('[data-island]');
+      const serverText = island.querySelector('.price').textContent;
+
+      hydrate();
+      expect(getIsland(island).props.label).toBe('<Tea>');
+      expect(island.querySelector('.price').textContent).toBe(serverText);
+      expect(serverText).toBe('2 x <Tea>');
+    });
+
+    describe('adopting server markup', () => {
+      function Field(props) {
+        const label = val(props.label);
+        return () => html`<label>${label()}</label><input name="q" value=${props.value} />
+          <button onclick=${() => label('clicked')}>Go</button>`;
+      }
+
+      let warn;
+
+      beforeEach(() => {
+        setRenderer(withHydration(uhtmlAdapter));
+        register('Field', Field);
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        setRenderer(null);
+        configure({ dev: true });
+        vi.restoreAllMocks();
+      });
+
+      it('hydrates matching markup without warnings and binds events', async () => {
+        document.body.innerHTML = renderToString(Field, { label: 'Search', value: 'a' });
+        const island = document.querySelector('[data-island]');
+        hydrate();
+
+        expect(warn).not.toHaveBeenCalled();
+        island.querySelector('button').click();
+        await delay(0);
+        expect(island.querySelector('label').textContent).toBe('clicked');
+      });
+
+      it('keeps the server elements, focus, selection and typed values', () => {
+        document.body.innerHTML = renderToString(Field, { label: 'Search', value: 'a' });
+        const serverInput = document.querySelector('input');
+        serverInput.focus();
+        serverInput.value = 'typed before hydration';
+        serverInput.setSelectionRange(2, 5);
+
+        hydrate();
+        const input = document.querySelector('input');
+        expect(input).toBe(serverInput);
+        expect(input.value).toBe('typed before hydration');
+        expect(document.activeElement).toBe(input);
+        expect([input.selectionStart, input.selectionEnd]).toEqual([2, 5]);
+      });
+
+      it('warns about each mismatch in dev mode', () => {
+        document.body.innerHTML = renderToString(Field, { label: 'Search', value: 'a' });
+        const island = document.querySelector('[data-island]');
+        island.querySelector('label').textContent = 'Stale';
+        island.querySelector('input').setAttribute('name', 'old');
+        island.appendChild(document.createElement('hr'));
+
+        hydrate();
+        const messages = warn.mock.calls.map((call) => call[0]);
+        expect(messages).toEqual([
+          '[frontjs] Hydration mismatch at /label[0]/#text[0]: server text "Stale", client text "Search".',
+          '[frontjs] Hydration mismatch at /input[1]: attribute "name" is "old" on the server, "q" on the client.',
+          '[frontjs] Hydration mismatch at /hr[3]: not rendered by the client.',
+        ]);
+        expect(island.querySelector('hr')).toBeNull();
+        expect(island.querySelector('label').textContent).toBe('Search');
+      });
+
+      it('skips mismatch checks with configure({ dev: false })', () => {
+        configure({ dev: false });
+        document.body.innerHTML = renderToString(Field, { label: 'Search', value: 'a' });
+        document.querySelector('label').textContent = 'Stale';
+
+        hydrate();
+        expect(warn).not.toHaveBeenCalled();
+      });
+
+      it('does not compare islands without data-ssr', () => {
+        document.body.innerHTML =
+          '<div data-island data-component="Field" data-props=\'{"label":"x"}\'><p>Loading</p></div>';
+        hydrate();
+        expect(warn).not.toHaveBeenCalled();
+        expect(document.querySelector('label').textContent).toBe('x');
+      });
+    });
+
+    describe('streaming', () => {
+      /**
+       * Writes each streamed chunk to the body and runs its inline scripts,
+       * like a browser parsing the response
+       * @param {ReadableStream} stream - renderToStream() output
+       * @param {Function} [afterChunk] - Called after each chunk
+       */
+      const play = async (stream, afterChunk = () => {}) => {
+        const decoder = new TextDecoder();
+        for await (const chunk of stream) {
+          document.body.insertAdjacentHTML('beforeend', decoder.decode(chunk));
+          document.body.querySelectorAll('script').forEach((script) => {
+            window.eval(script.textContent);
+            script.remove();
+          });
+          await afterChunk();
+        }
+      };
+
+      function Comments(props) {
+        const count = val(props.comments.length);
+        return () => html`<button onclick=${() => count(count() + 1)}>${count()} comments</button>`;
+      }
+
+      it('hydrates islands that arrive after hydrate() was called', async () => {
+        register('Comments', Comments);
+        const page = serverHtml`<main>${island(Comments, Promise.resolve({ comments: ['a'] }), {
+          fallback: serverHtml`<p>Loading</p>`,
+        })}</main>`;
+        let chunks = 0;
+
+        await play(renderToStream(page), () => {
+          if (chunks++ === 0) {
+            expect(document.querySelector('p').textContent).toBe('Loading');
+            hydrate();
+          }
+        });
+        const comments = document.querySelector('[data-component="Comments"]');
+        await delay(0);
+        expect(getIsland(comments).status).toBe('hydrated');
+        expect(document.querySelector('[data-front-placeholder]')).toBeNull();
+        expect(document.querySelector('template')).toBeNull();
+
+        comments.querySelector('button').click();
+        await delay(0);
+        expect(comments.textContent).toBe('2 comments');
+      });
+    });
+  });
+});
@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { html, render } from 'uhtml';
 import { val } from '../src/core/reactivity.js';
 import { defineComponent } from '../src/core/component.js';
-import { createTestDOM } from './setup.js';
+import { createTestDOM, nextTick } from './setup.js';
 
 describe('component', () => {
   let testDOM;
@@ -24,7 +24,7 @@ describe('component', () => {
     expect(testDOM.container.innerHTML).toContain('Hello');
   });
 
-  it('updates when vals change', () => {
+  it('updates when vals change', async () => {
     const count = val(0);
     const renderFn = () => html`<div>Count: ${count()}</div>`;
     
@@ -32,9 +32,41 @@ describe('component', () => {
     expect(testDOM.container.textContent).toContain('Count: 0');
     
     count(5);
+    await nextTick();
     expect(testDOM.container.textContent).toContain('Count: 5');
   });
 
+  it('renders once per microtask for several writes', async () => {
+    const first = val('a');
+    const last = val('b');
+    let renders = 0;
+    const renderFn = () => {
+      renders++;
+      return html`<div>${first()} ${last()}</div>`;
+    };
+
+    defineComponent(renderFn, testDOM.container);
+    first('x');
+    last('y');
+    expect(renders).toBe(1); // Not re-rendered synchronously
+
+    await nextTick();
+    expect(renders).toBe(2);
+    expect(testDOM.container.textContent).toContain('x y');
+  });
+
+  it('stops rendering after dispose', async () => {
+    const count = val(0);
+    const renderFn = () => html`<div>Count: ${count()}</div>`;
+
+    const dispose = defineComponent(renderFn, testDOM.container);
+    dispose();
+
+    count(5);
+    await nextTick();
+    expect(testDOM.container.textContent).toContain('Count: 0');
+  });
+
   it('handles render errors gracefully', () => {
     const renderFn = () => {
       throw new Error('Render error');
@@ -65,5 +97,99 @@ describe('component', () => {
     
     console.error = consoleError;
   });
-});
 
+  describe('fallback', () => {
+    let consoleError;
+
+    beforeEach(() => {
+      consoleError = console.error;
+      console.error = () => {};
+    });
+
+    afterEach(() => {
+      console.error = consoleError;
+    });
+
+    it('renders the fallback with the error when render throws', () => {
+      defineComponent(
+        () => {
+          throw new Error('Render error');
+        },
+        testDOM.container,
+        { fallback: (error) => html`<p class="fallback">Failed: ${error.message}</p>` }
+      );
+
+      expect(testDOM.container.querySelector('.fallback').textContent).toBe('Failed: Render error');
+    });
+
+    it('retry() renders the component again', async () => {
+      let fail = true;
+      let retry;
+      defineComponent(
+        () => {
+          if (fail) throw new Error('Render error');
+          return html`<div>Recovered</div>`;
+        },
+        testDOM.container,
+        {
+          fallback: (error, retryFn) => {
+            retry = retryFn;
+            return html`<p>Failed</p>`;
+          },
+        }
+      );
+      expect(testDOM.container.textContent).toBe('Failed');
+
+      fail = false;
+      retry();
+      await nextTick();
+      expect(testDOM.container.textContent).toBe('Recovered');
+    });
+
+    it('recovers when a value read before the error changes', async () => {
+      const count = val(-1);
+      defineComponent(() => {
+        if (count() < 0) throw new Error('Negative');
+        return html`<div>Count: ${count()}</div>`;
+      }, testDOM.container);
+      expect(testDOM.container.textContent).toContain('Rendering error occurred');
+
+      count(1);
+      await nextTick();
+      expect(testDOM.container.textContent).toBe('Count: 1');
+    });
+
+    it('recovers to the same template it rendered before failing', async () => {
+      const count = val(0);
+      const renderFn = () => {
+        if (count() === 1) throw new Error('One');
+        return html`<div>Count: ${count()}</div>`;
+      };
+      defineComponent(renderFn, testDOM.container);
+
+      count(1);
+      await nextTick();
+      expect(testDOM.container.textContent).toContain('Rendering error occurred');
+
+      count(2);
+      await nextTick();
+      expect(testDOM.container.textContent).toBe('Count: 2');
+    });
+
+    it('shows the generic message when the fallback throws', () => {
+      defineComponent(
+        () => {
+          throw new Error('Render error');
+        },
+        testDOM.container,
+        {
+          fallback: () => {
+            throw new Error('Fallback error');
+          },
+        }
+      );
+
+      expect(testDOM.container.textContent).toContain('Rendering error occurred');
+    });
+  });
+});
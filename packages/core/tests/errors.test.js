@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { html } from 'uhtml';
+import { val, run, calc } from '../src/core/reactivity.js';
+import { register, hydrate } from '../src/core/client.js';
+import { defineComponent } from '../src/core/component.js';
+import { configure } from '../src/core/errors.js';
+import { createIsland, delay } from './setup.js';
+
+describe('error reporting', () => {
+  let errors;
+  let warnings;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    errors = [];
+    warnings = [];
+    configure({
+      onError: (error) => errors.push(error),
+      onWarn: (warning) => warnings.push(warning),
+    });
+  });
+
+  afterEach(() => {
+    configure({ onError: null, onWarn: null });
+    vi.restoreAllMocks();
+  });
+
+  it('passes unregistered components to onWarn with a code and the island', () => {
+    const island = createIsland('NotRegisteredAnywhere');
+    hydrate();
+
+    expect(warnings).toEqual([
+      {
+        code: 'ERR_COMPONENT_NOT_FOUND',
+        message: 'Component "NotRegisteredAnywhere" not registered. Skipping island.',
+        component: 'NotRegisteredAnywhere',
+        element: island,
+      },
+    ]);
+    expect(errors).toEqual([]);
+  });
+
+  it('reports invalid JSON props with the parse error as cause', () => {
+    register('JsonErrors', () => () => html`<div></div>`);
+    const island = createIsland('JsonErrors', { 'data-props': '{broken' });
+    hydrate();
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({
+      code: 'ERR_PROPS_JSON',
+      component: 'JsonErrors',
+      element: island,
+    });
+    expect(errors[0].cause).toBeInstanceOf(SyntaxError);
+  });
+
+  it('reports schema failures with the issues as cause', () => {
+    const issues = [{ message: 'Expected a number' }];
+    register('SchemaErrors', () => () => html`<div></div>`, {
+      schema: { '~standard': { version: 1, vendor: 'mock', validate: () => ({ issues }) } },
+    });
+    const island = createIsland('SchemaErrors');
+    hydrate();
+
+    expect(errors).toEqual([
+      {
+        code: 'ERR_SCHEMA',
+        message: 'Schema validation failed for "SchemaErrors":',
+        component: 'SchemaErrors',
+        element: island,
+        cause: issues,
+      },
+    ]);
+  });
+
+  it('reports errors thrown during component setup', () => {
+    const failure = new Error('setup failed');
+    register('SetupErrors', () => {
+      throw failure;
+    });
+    const island = createIsland('SetupErrors');
+    hydrate();
+
+    expect(errors[0]).toMatchObject({
+      code: 'ERR_COMPONENT_SETUP',
+      component: 'SetupErrors',
+      element: island,
+      cause: failure,
+    });
+  });
+
+  it('reports render errors with the container', async () => {
+    const container = document.createElement('div');
+    const fail = val(false);
+    defineComponent(() => {
+      if (fail()) throw new Error('render failed');
+      return html`<p>ok</p>`;
+    }, container);
+
+    fail(true);
+    await delay(0);
+    expect(errors[0]).toMatchObject({ code: 'ERR_RENDER', element: container });
+    expect(errors[0].cause.message).toBe('render failed');
+  });
+
+  it('reports errors in runs and calcs', () => {
+    run(() => {
+      throw new Error('run failed');
+    });
+    const failing = calc(() => {
+      throw new Error('calc failed');
+    });
+    failing();
+
+    expect(errors.map((error) => error.code)).toEqual(['ERR_RUN', 'ERR_CALC']);
+    expect(errors[1].cause.message).toBe('calc failed');
+  });
+
+  it('does not log to the console while handlers are configured', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    createIsland('MissingComponent');
+    run(() => {
+      throw new Error('quiet');
+    });
+    hydrate();
+
+    expect(consoleError).not.toHaveBeenCalled();
+    expect(consoleWarn).not.toHaveBeenCalled();
+  });
+
+  it('restores console logging when a handler is reset to null', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    configure({ onError: null });
+    const failure = new Error('logged');
+    run(() => {
+      throw failure;
+    });
+
+    expect(consoleError).toHaveBeenCalledWith('[frontjs] Error in run:', failure);
+    expect(errors).toEqual([]);
+  });
+
+  it('leaves omitted handlers unchanged', () => {
+    configure({ onError: null });
+    createIsland('StillCustomWarn');
+    hydrate();
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('falls back to the console when a handler throws', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const handlerFailure = new Error('tracker offline');
+    configure({
+      onError: () => {
+        throw handlerFailure;
+      },
+    });
+
+    expect(() =>
+      run(() => {
+        throw new Error('original');
+      })
+    ).not.toThrow();
+    expect(consoleError).toHaveBeenCalledWith(
+      '[frontjs] Error in onError handler:',
+      handlerFailure
+    );
+    expect(consoleError).toHaveBeenCalledWith('[frontjs] Error in run:', expect.any(Error));
+  });
+
+  it('rejects handlers that are not functions', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    configure({ onError: 'nope' });
+
+    expect(consoleError).toHaveBeenCalledWith(
+      '[frontjs] configure() option "onError" must be a function or null.'
+    );
+    run(() => {
+      throw new Error('still custom');
+    });
+    expect(errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as front from '../src/index.js';
+import { createTestDOM, createIsland, delay } from './setup.js';
+
+// The browser entry on its own: the optional entries are never imported here
+describe('browser entry', () => {
+  const { html, register, hydrate, getIsland } = front;
+  let testDOM;
+
+  beforeEach(() => {
+    testDOM = createTestDOM();
+  });
+
+  afterEach(() => {
+    testDOM.cleanup();
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('leaves the optional features to their own entries', () => {
+    ['store', 'resource', 'each', 'registerLazy'].forEach((name) => {
+      expect(front).not.toHaveProperty(name);
+    });
+    expect(hydrate).not.toHaveProperty('observe');
+  });
+
+  it('hydrates islands with a data-hydrate trigger right away', () => {
+    register('Now', () => () => html`<p>Hydrated</p>`);
+    const island = createIsland('Now', { 'data-hydrate': 'visible' });
+
+    hydrate();
+    expect(island.textContent).toBe('Hydrated');
+  });
+
+  it('reads props from data-props only and passes them as they are', async () => {
+    register('Title', (props) => () => html`<p>${props.title}</p>`);
+    const script = document.createElement('script');
+    script.type = 'application/json';
+    script.id = 'title-props';
+    script.textContent = '{"title":"Script"}';
+    document.body.appendChild(script);
+    const fromScript = createIsland('Title', { 'data-props-id': 'title-props' });
+    const inline = createIsland('Title', { 'data-props': '{"title":"Inline"}' });
+
+    hydrate();
+    expect(getIsland(fromScript).props).toEqual({});
+    expect(inline.textContent).toBe('Inline');
+
+    inline.setAttribute('data-props', '{"title":"Changed"}');
+    await delay(10);
+    expect(inline.textContent).toBe('Inline');
+  });
+
+  it('ignores markup fallbacks', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    register('Broken', () => {
+      throw new Error('setup failed');
+    });
+    const island = createIsland(
+      'Broken',
+      {},
+      '<p>Server</p><template data-fallback><p>Fallback</p></template>'
+    );
+
+    hydrate();
+    expect(island.querySelector('p').textContent).toBe('Server');
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { run, val } from '../src/core/reactivity.js';
-import { defineComponent } from '../src/core/component.js';
+import { run, val, createRoot } from '../src/core/reactivity.js';
+import { defineComponent, onMount, onUpdate, onUnmount } from '../src/core/component.js';
+import { register, hydrate, unmount } from '../src/core/client.js';
 import { html } from 'uhtml';
 
 describe('Run cleanup', () => {
@@ -110,12 +111,12 @@ describe('Component lifecycle', () => {
     }
   });
 
-  it('should attach dispose to container', () => {
+  it('should not attach expandos to container', () => {
     const renderFn = () => html`<div>test</div>`;
 
     defineComponent(renderFn, container);
 
-    expect(container._front_dispose).toBeInstanceOf(Function);
+    expect(container._front_dispose).toBeUndefined();
   });
 
   it('should return dispose function', () => {
@@ -124,7 +125,6 @@ describe('Component lifecycle', () => {
     const dispose = defineComponent(renderFn, container);
 
     expect(dispose).toBeInstanceOf(Function);
-    expect(dispose).toBe(container._front_dispose);
   });
 
   it('should cleanup timers when component is disposed', () => {
@@ -226,7 +226,7 @@ describe('Real-world lifecycle scenarios', () => {
     }
   });
 
-  it('should handle timer-based updates correctly', () => {
+  it('should handle timer-based updates correctly', async () => {
     vi.useFakeTimers();
     let timerDispose;
 
@@ -249,16 +249,17 @@ describe('Real-world lifecycle scenarios', () => {
 
     expect(container.textContent).toContain('Tick: 0');
 
-    vi.advanceTimersByTime(1000);
+    // Async variant also flushes the microtask-scheduled re-renders
+    await vi.advanceTimersByTimeAsync(1000);
     expect(container.textContent).toContain('Tick: 1');
 
-    vi.advanceTimersByTime(2000);
+    await vi.advanceTimersByTimeAsync(2000);
     expect(container.textContent).toContain('Tick: 3');
 
     // Manually cleanup timer
     timerDispose();
 
-    vi.advanceTimersByTime(5000);
+    await vi.advanceTimersByTimeAsync(5000);
     expect(container.textContent).toContain('Tick: 3'); // No more updates
 
     vi.useRealTimers();
@@ -289,3 +290,141 @@ describe('Real-world lifecycle scenarios', () => {
     consoleErrorSpy.mockRestore();
   });
 });
+
+describe('Lifecycle hooks', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+  });
+
+  it('calls onMount once, after the first render is in the DOM', async () => {
+    const count = val(0);
+    const mounted = vi.fn((el) => el.querySelector('span').textContent);
+
+    createRoot(() => {
+      onMount(mounted);
+      defineComponent(() => html`<span>${count()}</span>`, container);
+    });
+
+    expect(mounted).toHaveBeenCalledTimes(1);
+    expect(mounted).toHaveBeenCalledWith(container);
+    expect(mounted).toHaveReturnedWith('0');
+
+    count(1);
+    await Promise.resolve();
+    expect(mounted).toHaveBeenCalledTimes(1);
+  });
+
+  it('calls onUpdate after every re-render', async () => {
+    const count = val(0);
+    const seen = [];
+
+    createRoot(() => {
+      onUpdate((el) => seen.push(el.textContent));
+      defineComponent(() => html`<span>${count()}</span>`, container);
+    });
+    expect(seen).toEqual([]);
+
+    count(1);
+    await Promise.resolve();
+    count(2);
+    await Promise.resolve();
+    expect(seen).toEqual(['1', '2']);
+  });
+
+  it('does not subscribe the render to values read in hooks', async () => {
+    const other = val(0);
+    const renders = vi.fn();
+
+    createRoot(() => {
+      onMount(() => other());
+      onUpdate(() => other());
+      defineComponent(() => {
+        renders();
+        return html`<span></span>`;
+      }, container);
+    });
+
+    other(1);
+    await Promise.resolve();
+    expect(renders).toHaveBeenCalledTimes(1);
+  });
+
+  it('calls onUnmount and the onMount cleanup when disposed', () => {
+    const calls = [];
+    const dispose = createRoot(() => {
+      onMount(() => () => calls.push('mount cleanup'));
+      onUnmount((el) => calls.push(el.textContent));
+      return defineComponent(() => html`<span>still here</span>`, container);
+    });
+
+    dispose();
+    dispose();
+    expect(calls).toEqual(['still here', 'mount cleanup']);
+  });
+
+  it('runs hooks of an island when it hydrates and unmounts', () => {
+    const calls = [];
+    register('HookedIsland', () => {
+      onMount((el) => calls.push(`mount ${el.dataset.component}`));
+      onUnmount(() => calls.push('unmount'));
+      return () => html`<span>island</span>`;
+    });
+    const island = document.createElement('div');
+    island.setAttribute('data-island', '');
+    island.setAttribute('data-component', 'HookedIsland');
+    document.body.appendChild(island);
+
+    hydrate();
+    expect(calls).toEqual(['mount HookedIsland']);
+
+    unmount(island);
+    expect(calls).toEqual(['mount HookedIsland', 'unmount']);
+  });
+
+  it('owns runs created in onMount by the component', () => {
+    const source = val(0);
+    const spy = vi.fn();
+    const dispose = createRoot((dispose) => {
+      onMount(() => {
+        run(() => spy(source()));
+      });
+      defineComponent(() => html`<span></span>`, container);
+      return dispose;
+    });
+
+    dispose();
+    source(1);
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports errors thrown by hooks without breaking the component', () => {
+    const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const second = vi.fn();
+
+    createRoot(() => {
+      onMount(() => {
+        throw new Error('Widget failed');
+      });
+      onMount(second);
+      defineComponent(() => html`<span>ok</span>`, container);
+    });
+
+    expect(container.textContent).toBe('ok');
+    expect(second).toHaveBeenCalled();
+    expect(consoleErrorSpy.mock.calls[0][0]).toBe('[frontjs] Error in onMount():');
+  });
+
+  it('warns when a hook is called outside a component', () => {
+    const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    onMount(() => {});
+    expect(consoleWarnSpy.mock.calls[0][0]).toContain('onMount() called outside');
+  });
+});
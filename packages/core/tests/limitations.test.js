@@ -31,6 +31,7 @@ describe('Limitations: Reactivity', () => {
       items().push(4);
       
       // EXPECTED: No re-run because reference didn't change
+      // (store() tracks in-place mutations; see store.test.js)
       expect(spy).toHaveBeenCalledTimes(1);
       expect(items()).toEqual([1, 2, 3, 4]); // Mutation worked, but no notification
     });
@@ -209,7 +210,7 @@ describe('Limitations: Reactivity', () => {
       expect(spy).toHaveBeenCalledTimes(2);
     });
     
-    it('uses !== for equality (NaN is always different)', () => {
+    it('uses Object.is for equality (NaN equals NaN)', () => {
       const value = val(NaN);
       const spy = vi.fn();
       
@@ -222,8 +223,22 @@ describe('Limitations: Reactivity', () => {
       // Set to NaN again
       value(NaN);
       
-      // EXPECTED: Re-runs because NaN !== NaN in JavaScript
-      // This is a known edge case - could be improved with Object.is
+      // EXPECTED: No re-run because Object.is(NaN, NaN) is true
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('equal-but-new objects still notify unless equals is customized', () => {
+      const value = val({ id: 1 });
+      const spy = vi.fn();
+
+      run(() => {
+        spy(value());
+      });
+
+      value({ id: 1 });
+
+      // EXPECTED: Re-runs because the reference changed
+      // Pass { equals } to val() to compare by content instead
       expect(spy).toHaveBeenCalledTimes(2);
     });
   });
@@ -280,7 +295,7 @@ describe('Limitations: Component Architecture', () => {
 
 describe('Limitations: Performance', () => {
   describe('Deep Nested Runs', () => {
-    it('nested runs create separate subscriptions', () => {
+    it('nested runs are recreated by their parent', () => {
       const a = val(1);
       const outerSpy = vi.fn();
       const innerSpy = vi.fn();
@@ -299,10 +314,11 @@ describe('Limitations: Performance', () => {
       // Change a
       a(2);
       
-      // EXPECTED: Outer re-runs (2), which creates new inner run (3), 
-      // plus inner re-runs independently (4)
+      // EXPECTED: Outer re-runs (2), disposing the inner run it owns and
+      // creating a new one (2). The disposed inner run does not re-run, but
+      // the inner work is still repeated on every outer re-run.
       expect(outerSpy).toHaveBeenCalledTimes(2);
-      expect(innerSpy).toHaveBeenCalledTimes(4); // Initial + created + 2 re-runs
+      expect(innerSpy).toHaveBeenCalledTimes(2); // Initial + recreated
     });
     
     it('prefer calc() for derived values to avoid nested runs', () => {
@@ -323,10 +339,11 @@ describe('Limitations: Performance', () => {
       
       count(2);
       
-      // calc creates internal run, so there are multiple executions
-      // but it's still more efficient than manual nested runs
-      expect(outerSpy).toHaveBeenCalledTimes(3); // Initial + 2 updates from doubled changing
-      expect(innerSpy).toHaveBeenCalledTimes(3); // Initial + 2 updates
+      // calc is glitch-free: the run sees count and doubled change together
+      // and re-runs once, unlike manual nested runs
+      expect(outerSpy).toHaveBeenCalledTimes(2); // Initial + 1 update
+      expect(innerSpy).toHaveBeenCalledTimes(2); // Initial + 1 update
+      expect(innerSpy).toHaveBeenLastCalledWith(4);
     });
   });
 });
@@ -1,5 +1,14 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { val, run, calc } from '../src/core/reactivity.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  val,
+  run,
+  calc,
+  batch,
+  untrack,
+  on,
+  createRoot,
+  onCleanup,
+} from '../src/core/reactivity.js';
 
 describe('reactivity', () => {
   describe('val', () => {
@@ -46,6 +55,50 @@ describe('reactivity', () => {
       s(5); // Same value
       expect(callCount).toBe(0);
     });
+
+    it('notifies on every write with equals: false', () => {
+      const s = val(1, { equals: false });
+      let callCount = 0;
+
+      run(() => {
+        s();
+        callCount++;
+      });
+
+      s(1);
+      s(1);
+      expect(callCount).toBe(3);
+    });
+
+    it('accepts null options', () => {
+      const s = val(0, null);
+      const doubled = calc(() => s() * 2, null);
+      let seen;
+      run(() => {
+        seen = doubled();
+      }, null);
+
+      s(2);
+      expect(seen).toBe(4);
+    });
+
+    it('uses a custom equals function', () => {
+      const byId = (a, b) => a.id === b.id;
+      const user = val({ id: 1, name: 'Ada' }, { equals: byId });
+      let callCount = 0;
+
+      run(() => {
+        user();
+        callCount++;
+      });
+
+      user({ id: 1, name: 'Ada L.' }); // Same id: ignored
+      expect(callCount).toBe(1);
+      expect(user().name).toBe('Ada');
+
+      user({ id: 2, name: 'Grace' });
+      expect(callCount).toBe(2);
+    });
   });
 
   describe('run', () => {
@@ -123,6 +176,37 @@ describe('reactivity', () => {
       expect(otherRunExecuted).toBe(true);
     });
 
+    it('stops re-running after dispose', () => {
+      const s = val(0);
+      let callCount = 0;
+
+      const dispose = run(() => {
+        s();
+        callCount++;
+      });
+
+      dispose();
+      s(1);
+      s(2);
+      expect(callCount).toBe(1);
+    });
+
+    it('drops stale subscriptions on re-run', () => {
+      const flag = val(true);
+      const a = val(1);
+      let callCount = 0;
+
+      run(() => {
+        callCount++;
+        if (flag()) a();
+      });
+
+      flag(false); // Re-run no longer reads a
+      callCount = 0;
+      a(2);
+      expect(callCount).toBe(0);
+    });
+
     it('warns when async function is used directly', () => {
       const consoleWarn = console.warn;
       const warnings = [];
@@ -152,6 +236,409 @@ describe('reactivity', () => {
     });
   });
 
+  describe('batch', () => {
+    it('runs subscribers once after the batch ends', () => {
+      const a = val(1);
+      const b = val(2);
+      const sums = [];
+
+      run(() => {
+        sums.push(a() + b());
+      });
+
+      batch(() => {
+        a(10);
+        b(20);
+        expect(sums).toEqual([3]); // Nothing ran inside the batch
+      });
+
+      expect(sums).toEqual([3, 30]);
+    });
+
+    it('flushes only when the outermost batch ends', () => {
+      const s = val(0);
+      let callCount = 0;
+
+      run(() => {
+        s();
+        callCount++;
+      });
+
+      batch(() => {
+        batch(() => s(1));
+        expect(callCount).toBe(1);
+        s(2);
+      });
+
+      expect(callCount).toBe(2);
+    });
+
+    it('returns the value of the batched function', () => {
+      expect(batch(() => 42)).toBe(42);
+    });
+  });
+
+  describe('createRoot', () => {
+    it('returns the value of the function', () => {
+      expect(createRoot(() => 42)).toBe(42);
+    });
+
+    it('disposes runs created inside it', () => {
+      const s = val(0);
+      let callCount = 0;
+
+      const dispose = createRoot((dispose) => {
+        run(() => {
+          s();
+          callCount++;
+        });
+        return dispose;
+      });
+
+      dispose();
+      s(1);
+      expect(callCount).toBe(1);
+    });
+
+    it('disposes nested runs and calcs', () => {
+      const s = val(0);
+      let innerCount = 0;
+      let calcCount = 0;
+
+      const dispose = createRoot((dispose) => {
+        run(() => {
+          const doubled = calc(() => {
+            calcCount++;
+            return s() * 2;
+          });
+          run(() => {
+            doubled();
+            innerCount++;
+          });
+        });
+        return dispose;
+      });
+
+      dispose();
+      s(1);
+      expect(innerCount).toBe(1);
+      expect(calcCount).toBe(1);
+    });
+
+    it('runs cleanups registered with onCleanup', () => {
+      const cleanup = vi.fn();
+
+      const dispose = createRoot((dispose) => {
+        onCleanup(cleanup);
+        return dispose;
+      });
+
+      expect(cleanup).not.toHaveBeenCalled();
+      dispose();
+      dispose();
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not track reads', () => {
+      const s = val(0);
+      let callCount = 0;
+
+      run(() => {
+        callCount++;
+        createRoot(() => s());
+      });
+
+      s(1);
+      expect(callCount).toBe(1);
+    });
+  });
+
+  describe('onCleanup', () => {
+    it('runs before a run re-executes and on dispose', () => {
+      const s = val(0);
+      const cleanups = [];
+
+      const dispose = run(() => {
+        const value = s();
+        onCleanup(() => cleanups.push(value));
+      });
+
+      s(1);
+      expect(cleanups).toEqual([0]);
+      dispose();
+      expect(cleanups).toEqual([0, 1]);
+    });
+
+    it('disposes child runs before the parent re-executes', () => {
+      const s = val(0);
+      const child = val(0);
+      let childCount = 0;
+
+      run(() => {
+        s();
+        run(() => {
+          child();
+          childCount++;
+        });
+      });
+
+      s(1); // Recreates the child run
+      childCount = 0;
+      child(1);
+      expect(childCount).toBe(1); // Only the current child re-runs
+    });
+
+    it('warns outside of a scope', () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      onCleanup(() => {});
+      expect(consoleWarn.mock.calls[0][0]).toContain('onCleanup() called outside');
+      consoleWarn.mockRestore();
+    });
+
+    it('isolates cleanup errors', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const second = vi.fn();
+
+      const dispose = createRoot((dispose) => {
+        onCleanup(() => {
+          throw new Error('boom');
+        });
+        onCleanup(second);
+        return dispose;
+      });
+
+      dispose();
+      expect(second).toHaveBeenCalled();
+      expect(consoleError.mock.calls[0][0]).toContain('Error in cleanup');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('untrack', () => {
+    it('reads values without subscribing', () => {
+      const tracked = val(1);
+      const config = val('light');
+      let callCount = 0;
+
+      run(() => {
+        tracked();
+        untrack(() => config());
+        callCount++;
+      });
+
+      config('dark');
+      expect(callCount).toBe(1);
+      tracked(2);
+      expect(callCount).toBe(2);
+    });
+
+    it('returns the value of the function', () => {
+      const s = val(7);
+      expect(untrack(() => s() * 2)).toBe(14);
+    });
+
+    it('restores tracking after the function throws', () => {
+      const s = val(0);
+      let callCount = 0;
+
+      run(() => {
+        try {
+          untrack(() => {
+            throw new Error('boom');
+          });
+        } catch (e) {
+          // ignored
+        }
+        s();
+        callCount++;
+      });
+
+      s(1);
+      expect(callCount).toBe(2);
+    });
+  });
+
+  describe('on', () => {
+    it('only tracks the listed dependencies', () => {
+      const a = val(1);
+      const b = val(2);
+      const other = val(0);
+      const seen = [];
+
+      run(
+        on([a, b], ([a, b]) => {
+          other();
+          seen.push(a + b);
+        })
+      );
+
+      other(1);
+      expect(seen).toEqual([3]);
+      b(3);
+      expect(seen).toEqual([3, 4]);
+    });
+
+    it('passes previous values', () => {
+      const a = val(1);
+      const calls = [];
+
+      run(on(a, (value, prev) => calls.push([value, prev])));
+      a(2);
+
+      expect(calls).toEqual([
+        [1, undefined],
+        [2, 1],
+      ]);
+    });
+
+    it('keeps cleanup functions working', () => {
+      const a = val(1);
+      let cleanups = 0;
+
+      run(on(a, () => () => cleanups++));
+      a(2);
+      expect(cleanups).toBe(1);
+    });
+  });
+
+  describe('microtask scheduler', () => {
+    it('defers re-runs to a microtask and coalesces writes', async () => {
+      const s = val(0);
+      const seen = [];
+
+      run(() => {
+        seen.push(s());
+      }, { scheduler: 'microtask' });
+
+      s(1);
+      s(2);
+      expect(seen).toEqual([0]);
+
+      await Promise.resolve();
+      expect(seen).toEqual([0, 2]);
+    });
+
+    it('re-runs in creation order', async () => {
+      const s = val(0);
+      const order = [];
+
+      run(() => {
+        s();
+        order.push('first');
+      }, { scheduler: 'microtask' });
+      run(() => {
+        s();
+        order.push('second');
+      }, { scheduler: 'microtask' });
+
+      order.length = 0;
+      s(1);
+      await Promise.resolve();
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    it('does not re-run after dispose', async () => {
+      const s = val(0);
+      let callCount = 0;
+
+      const dispose = run(() => {
+        s();
+        callCount++;
+      }, { scheduler: 'microtask' });
+
+      s(1);
+      dispose();
+      await Promise.resolve();
+      expect(callCount).toBe(1);
+    });
+  });
+
+  describe('cycle detection', () => {
+    it('stops a run that writes a value it reads', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const count = val(0);
+      let runs = 0;
+
+      run(
+        () => {
+          runs++;
+          count(count() + 1);
+        },
+        { label: 'counter' }
+      );
+
+      expect(runs).toBe(101); // Initial run + 100 re-runs, then stopped
+      expect(consoleError.mock.calls[0][0]).toContain('[frontjs] Cycle detected');
+      expect(consoleError.mock.calls[0][0]).toContain('run "counter"');
+
+      count(0); // Stopped run no longer reacts
+      expect(runs).toBe(101);
+      consoleError.mockRestore();
+    });
+
+    it('keeps other runs working after stopping a cycle', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const a = val(0);
+      const b = val(0);
+      let seen;
+
+      run(() => a(a() + 1));
+      run(() => {
+        seen = b();
+      });
+
+      b(5);
+      expect(seen).toBe(5);
+      consoleError.mockRestore();
+    });
+
+    it('stops microtask runs in a cycle instead of looping forever', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const count = val(0);
+      let runs = 0;
+
+      run(
+        () => {
+          runs++;
+          if (count() > 0) count(count() + 1);
+        },
+        { scheduler: 'microtask', label: 'render' }
+      );
+
+      count(1);
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(runs).toBe(101);
+      expect(consoleError.mock.calls[0][0]).toContain('run "render"');
+      consoleError.mockRestore();
+    });
+
+    it('allows runs that write a value they read once and settle', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const value = val(50);
+
+      run(() => {
+        if (value() > 10) value(10);
+      });
+
+      expect(value()).toBe(10);
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    it('reports calcs that read themselves', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const s = val(1);
+      const a = calc(() => s() + (b() || 0), { label: 'a' });
+      const b = calc(() => a(), { label: 'b' });
+
+      expect(() => a()).not.toThrow();
+      expect(consoleError.mock.calls[0][0]).toContain('calc "a" reads its own value');
+      consoleError.mockRestore();
+    });
+  });
+
   describe('calc', () => {
     it('creates calculated value', () => {
       const s = val(5);
@@ -191,6 +678,125 @@ describe('reactivity', () => {
       expect(product()).toBe(20);
     });
 
+    it('is lazy until first read', () => {
+      const s = val(1);
+      let computations = 0;
+      const doubled = calc(() => {
+        computations++;
+        return s() * 2;
+      });
+
+      expect(computations).toBe(0);
+      expect(doubled()).toBe(2);
+      expect(computations).toBe(1);
+    });
+
+    it('does not recompute when nobody reads it', () => {
+      const s = val(1);
+      let computations = 0;
+      const doubled = calc(() => {
+        computations++;
+        return s() * 2;
+      });
+
+      doubled();
+      s(2);
+      s(3);
+      expect(computations).toBe(1);
+      expect(doubled()).toBe(6);
+      expect(computations).toBe(2);
+    });
+
+    it('memoizes between reads', () => {
+      const s = val(1);
+      let computations = 0;
+      const doubled = calc(() => {
+        computations++;
+        return s() * 2;
+      });
+
+      doubled();
+      doubled();
+      expect(computations).toBe(1);
+    });
+
+    it('is glitch-free for diamond dependencies', () => {
+      const a = val(1);
+      const b = calc(() => a() + 1);
+      const c = calc(() => a() * 2);
+      const d = calc(() => `${b()}/${c()}`);
+      const seen = [];
+
+      run(() => {
+        seen.push(d());
+      });
+
+      a(2);
+      expect(seen).toEqual(['2/2', '3/4']); // Never an inconsistent '3/2'
+    });
+
+    it('skips observers when the recomputed value is unchanged', () => {
+      const n = val(2);
+      const isEven = calc(() => n() % 2 === 0);
+      let callCount = 0;
+
+      run(() => {
+        isEven();
+        callCount++;
+      });
+
+      n(4); // isEven recomputes but stays true
+      expect(callCount).toBe(1);
+      n(5);
+      expect(callCount).toBe(2);
+    });
+
+    it('accepts a custom equals function', () => {
+      const shallow = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+      const items = val([1, 2, 3, 4]);
+      const evens = calc(() => items().filter((n) => n % 2 === 0), { equals: shallow });
+      let callCount = 0;
+
+      run(() => {
+        evens();
+        callCount++;
+      });
+
+      items([1, 2, 3, 4, 5]); // Same evens, new array
+      expect(callCount).toBe(1);
+      items([2, 4, 6]);
+      expect(callCount).toBe(2);
+    });
+
+    it('always notifies with equals: false', () => {
+      const s = val(1);
+      const parity = calc(() => s() % 2, { equals: false });
+      let callCount = 0;
+
+      run(() => {
+        parity();
+        callCount++;
+      });
+
+      s(3);
+      expect(callCount).toBe(2);
+    });
+
+    it('peek reads without subscribing', () => {
+      const s = val(1);
+      const doubled = calc(() => s() * 2);
+      let callCount = 0;
+
+      run(() => {
+        doubled.peek();
+        callCount++;
+      });
+
+      s(2);
+      expect(callCount).toBe(1);
+      expect(doubled.peek()).toBe(4);
+    });
+
     it('handles errors gracefully', () => {
       const s = val(5);
       const safe = calc(() => {
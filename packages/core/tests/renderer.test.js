@@ -0,0 +1,559 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { html, render, hydrateRender, setRenderer } from '../src/core/renderer.js';
+import { each } from '../src/core/each.js';
+import { val, run, createRoot, onCleanup } from '../src/core/reactivity.js';
+import { store, produce } from '../src/core/store.js';
+import { defineComponent } from '../src/core/component.js';
+import { configure } from '../src/core/errors.js';
+import { uhtmlAdapter } from '../src/adapters/uhtml.js';
+import { litHtmlAdapter } from '../src/adapters/lit-html.js';
+import { withHydration } from '../src/adapters/hydration.js';
+import { delay } from './setup.js';
+
+// Every adapter shipped with front.js must pass this suite
+const adapters = [uhtmlAdapter, litHtmlAdapter];
+
+describe.each(adapters)('renderer adapter conformance: $name', (adapter) => {
+  let container;
+
+  beforeEach(() => {
+    setRenderer(adapter);
+    container = document.createElement('div');
+    document.body.replaceChildren(container);
+  });
+
+  afterEach(() => {
+    setRenderer(null);
+    vi.restoreAllMocks();
+  });
+
+  it('renders text and escapes interpolated strings', () => {
+    render(container, html`<p>${'<b>bold</b>'}</p>`);
+    expect(container.querySelector('p').textContent).toBe('<b>bold</b>');
+    expect(container.querySelector('b')).toBeNull();
+  });
+
+  it('sets attributes, boolean attributes and properties', () => {
+    const template = (disabled) =>
+      html`<input class=${'field wide'} title=${'Name'} ?disabled=${disabled} .value=${'Ada'} />`;
+    render(container, template(true));
+    const input = container.querySelector('input');
+    expect(input.getAttribute('class')).toBe('field wide');
+    expect(input.getAttribute('title')).toBe('Name');
+    expect(input.disabled).toBe(true);
+    expect(input.value).toBe('Ada');
+
+    render(container, template(false));
+    expect(input.hasAttribute('disabled')).toBe(false);
+  });
+
+  it('binds @event handlers', () => {
+    const onClick = vi.fn();
+    render(container, html`<button @click=${onClick}>Go</button>`);
+    container.querySelector('button').click();
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('updates the same nodes when the same template renders again', () => {
+    const template = (count) => html`<p>Count: ${count}</p>`;
+    render(container, template(1));
+    const paragraph = container.querySelector('p');
+
+    render(container, template(2));
+    expect(container.querySelector('p')).toBe(paragraph);
+    expect(paragraph.textContent).toBe('Count: 2');
+  });
+
+  it('renders nested templates, arrays and DOM nodes', () => {
+    const node = document.createElement('em');
+    node.textContent = 'node';
+    render(
+      container,
+      html`<ul>
+          ${['a', 'b'].map((item) => html`<li>${item}</li>`)}
+        </ul>
+        ${node}`
+    );
+
+    expect(Array.from(container.querySelectorAll('li'), (li) => li.textContent)).toEqual([
+      'a',
+      'b',
+    ]);
+    expect(container.querySelector('em')).toBe(node);
+  });
+
+  it('renders templates to escaped strings without event handlers', () => {
+    const markup = adapter.renderToString(
+      html`<p class=${'x'} @click=${() => {}}>${'<b>'}${[html`<i>1</i>`, html`<i>2</i>`]}</p>`
+    );
+    expect(markup).toBe('<p class="x">&lt;b&gt;<i>1</i><i>2</i></p>');
+  });
+
+  it('renders in place of server markup without a hydrate function', () => {
+    container.innerHTML = '<p>Server</p>';
+    const paragraph = container.querySelector('p');
+
+    hydrateRender(container, html`<p>${'Client'}</p>`);
+    expect(container.querySelector('p')).not.toBe(paragraph);
+    expect(container.innerHTML).toContain('Client');
+    expect(container.textContent).toBe('Client');
+  });
+});
+
+describe.each(adapters)('withHydration($name)', (adapter) => {
+  let container;
+
+  beforeEach(() => {
+    setRenderer(withHydration(adapter));
+    container = document.createElement('div');
+    document.body.replaceChildren(container);
+  });
+
+  afterEach(() => {
+    setRenderer(null);
+    configure({ onWarn: null });
+    vi.restoreAllMocks();
+  });
+
+  it('hydrates its own server markup without mismatches', async () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning) });
+    const label = val('Server');
+    const template = () =>
+      html`<label>${label()}</label><button @click=${() => label('Clicked')}>Go</button>`;
+    container.innerHTML = adapter.renderToString(template());
+    const [serverLabel, serverButton] = container.children;
+
+    defineComponent(template, container, { hydrate: true });
+    configure({ onWarn: null });
+    expect(warnings).toEqual([]);
+    expect(Array.from(container.children)).toEqual([serverLabel, serverButton]);
+
+    container.querySelector('button').click();
+    await delay(0);
+    expect(container.querySelector('label').textContent).toBe('Clicked');
+  });
+
+  it('binds nested templates and lists to the server elements', () => {
+    const items = ['a', 'b'];
+    const template = (title) =>
+      html`<section>
+        <h2>${title}</h2>
+        ${html`<p>${'nested'}</p>`}
+        <ul>
+          ${items.map((item) => html`<li>${item}</li>`)}
+        </ul>
+      </section>`;
+    container.innerHTML = adapter.renderToString(template('Title'));
+    const server = Array.from(container.querySelectorAll('*'));
+
+    hydrateRender(container, template('Title'));
+    expect(Array.from(container.querySelectorAll('*'))).toEqual(server);
+
+    render(container, template('Updated'));
+    expect(container.querySelector('h2')).toBe(server[1]);
+    expect(server[1].textContent).toBe('Updated');
+  });
+
+  it('patches what differs from the server markup', () => {
+    configure({ onWarn: () => {} });
+    const template = html`<p class="client">Client</p>
+      <input name="q" />`;
+    container.innerHTML = '<p class="server">Server</p><input name="q"><hr>';
+    const [paragraph, input] = container.children;
+
+    hydrateRender(container, template);
+    configure({ onWarn: null });
+    expect(container.querySelector('p')).toBe(paragraph);
+    expect(paragraph.className).toBe('client');
+    expect(paragraph.textContent).toBe('Client');
+    expect(container.querySelector('input')).toBe(input);
+    expect(container.querySelector('hr')).toBeNull();
+  });
+
+  it('carries focus over when hydrating', () => {
+    container.innerHTML = adapter.renderToString(html`<input name="q" />`);
+    container.querySelector('input').focus();
+
+    hydrateRender(container, html`<input name="q" />`);
+    expect(document.activeElement).toBe(container.querySelector('input'));
+  });
+  it('binds attribute holes to the server element', async () => {
+    const onClick = vi.fn();
+    const template = (disabled, title) =>
+      html`<button title=${title} ?disabled=${disabled} .tabIndex=${2} @click=${onClick}>
+        Go
+      </button>`;
+    container.innerHTML = adapter.renderToString(template(false, 'Send'));
+    const button = container.querySelector('button');
+
+    hydrateRender(container, template(false, 'Send'));
+    button.click();
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(button.tabIndex).toBe(2);
+
+    render(container, template(true, 'Wait'));
+    expect(container.querySelector('button')).toBe(button);
+    expect(button.disabled).toBe(true);
+    expect(button.getAttribute('title')).toBe('Wait');
+  });
+
+  it('renders holes that change kind in place of their nodes', () => {
+    const template = (value) =>
+      html`<p>${value}</p>
+        <input />`;
+    container.innerHTML = adapter.renderToString(template('text'));
+    const [paragraph, input] = container.children;
+
+    hydrateRender(container, template('text'));
+    render(container, template(html`<em>node</em>`));
+    expect(paragraph.innerHTML).toContain('<em>node</em>');
+    expect(paragraph.textContent).toBe('node');
+
+    render(container, template([html`<b>1</b>`, html`<b>2</b>`]));
+    expect(paragraph.textContent).toBe('12');
+    render(container, template(null));
+    expect(paragraph.textContent).toBe('');
+    expect(Array.from(container.children)).toEqual([paragraph, input]);
+  });
+
+  it('renders from scratch when the server structure differs', () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning.message) });
+    container.innerHTML = '<div><span>Server</span></div>';
+
+    hydrateRender(container, html`<div><p>${'Client'}</p></div>`);
+    expect(container.querySelector('p').textContent).toBe('Client');
+    expect(container.querySelector('span')).toBeNull();
+    expect(warnings).toEqual([
+      'Hydration mismatch at /div[0]/span[0]: server has span, client has p.',
+    ]);
+  });
+
+  it('renders other templates with the wrapped adapter', () => {
+    container.innerHTML = '<p>Server</p>';
+    hydrateRender(container, html`<p>Server</p>`);
+    const paragraph = container.querySelector('p');
+
+    render(container, html`<section>${'Client'}</section>`);
+    expect(paragraph.isConnected).toBe(false);
+    expect(container.querySelector('section').textContent).toBe('Client');
+  });
+});
+
+describe.each(adapters)('each() with $name', (adapter) => {
+  let container;
+  let dispose;
+  let a;
+  let b;
+  let c;
+  let d;
+
+  /**
+   * Renders a keyed list of items into the container
+   * @param {Function} list - List accessor
+   * @param {Function} [row] - Row template, defaults to an input per item
+   * @returns {import('vitest').Mock} Spy called with the item id on every render of the default row
+   */
+  const mountList = (list, row) => {
+    const renders = vi.fn();
+    const template =
+      row ||
+      ((item, index) => {
+        renders(item().id);
+        return html`<li data-index=${index()}><input .value=${item().text} /></li>`;
+      });
+    createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      render(
+        container,
+        html`<ul>
+          ${each(list, (item) => item.id, template)}
+        </ul>`
+      );
+    });
+    return renders;
+  };
+
+  const texts = () => Array.from(container.querySelectorAll('input'), (input) => input.value);
+
+  beforeEach(() => {
+    setRenderer(adapter);
+    container = document.createElement('div');
+    document.body.replaceChildren(container);
+    // Fresh items per test: store() tests write to them
+    a = { id: 'a', text: 'A' };
+    b = { id: 'b', text: 'B' };
+    c = { id: 'c', text: 'C' };
+    d = { id: 'd', text: 'D' };
+  });
+
+  afterEach(() => {
+    dispose();
+    setRenderer(null);
+    configure({ onWarn: null, onError: null });
+  });
+
+  it('renders a row per item', () => {
+    mountList(() => [a, b, c]);
+    expect(texts()).toEqual(['A', 'B', 'C']);
+  });
+
+  it('keeps row nodes, focus and typed values when reordering', () => {
+    const items = val([a, b, c]);
+    mountList(items);
+    const [inputA, inputB, inputC] = container.querySelectorAll('input');
+    inputA.focus();
+    inputA.value = 'typed';
+
+    items([c, b, a]);
+    expect(Array.from(container.querySelectorAll('input'))).toEqual([inputC, inputB, inputA]);
+    expect(document.activeElement).toBe(inputA);
+    expect(inputA.value).toBe('typed');
+  });
+
+  it('moves as few rows as possible', () => {
+    const items = val([a, b, c, d]);
+    mountList(items);
+    const list = container.querySelector('ul');
+    const observer = new MutationObserver(() => {});
+    observer.observe(list, { childList: true });
+
+    items([d, a, b, c]);
+    const moved = observer
+      .takeRecords()
+      .flatMap((record) => Array.from(record.addedNodes))
+      .filter((node) => node.nodeName === 'LI');
+    observer.disconnect();
+    expect(moved.map((node) => node.querySelector('input').value)).toEqual(['D']);
+    expect(texts()).toEqual(['D', 'A', 'B', 'C']);
+  });
+
+  it('adds and removes rows and updates indexes', () => {
+    const items = val([a, b, c]);
+    mountList(items);
+
+    items([b, d]);
+    expect(texts()).toEqual(['B', 'D']);
+    expect(Array.from(container.querySelectorAll('li'), (li) => li.dataset.index)).toEqual([
+      '0',
+      '1',
+    ]);
+
+    items([]);
+    expect(container.querySelectorAll('li')).toHaveLength(0);
+    items([c]);
+    expect(texts()).toEqual(['C']);
+  });
+
+  it('re-renders only the rows whose item changed', () => {
+    const items = val([a, b, c]);
+    const renders = mountList(items);
+    renders.mockClear();
+
+    items([a, { ...b, text: 'B2' }, c]);
+    expect(renders.mock.calls).toEqual([['b']]);
+    expect(texts()).toEqual(['A', 'B2', 'C']);
+  });
+
+  it('tracks store items per row', () => {
+    const [state, setState] = store({ items: [a, b, c] });
+    const renders = mountList(() => state.items);
+    renders.mockClear();
+
+    setState('items', 2, 'text', 'C2');
+    expect(renders.mock.calls).toEqual([['c']]);
+    expect(texts()).toEqual(['A', 'B', 'C2']);
+
+    setState(
+      'items',
+      produce((items) => items.push(d))
+    );
+    expect(texts()).toEqual(['A', 'B', 'C2', 'D']);
+  });
+
+  it('keeps its rows when hydrating server markup', () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning) });
+    setRenderer(withHydration(adapter));
+    // What the server each() renders
+    container.innerHTML =
+      '<ul><!--each--><!----><li><input>A</li><!----><li><input>B</li><!--/each--></ul>';
+    const [inputA, inputB] = container.querySelectorAll('input');
+    inputB.focus();
+    inputB.value = 'typed';
+
+    const items = val([a, b]);
+    createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      const rows = each(
+        items,
+        (item) => item.id,
+        (item) => html`<li><input />${item().text}</li>`
+      );
+      hydrateRender(
+        container,
+        html`<ul>
+          ${rows}
+        </ul>`
+      );
+    });
+    expect(Array.from(container.querySelectorAll('input'))).toEqual([inputA, inputB]);
+    expect(warnings).toEqual([]);
+
+    const list = () => Array.from(container.querySelectorAll('li'), (li) => li.textContent);
+    items([c, b]);
+    expect(list()).toEqual(['C', 'B']);
+    expect(container.querySelectorAll('input')[1]).toBe(inputB);
+    expect(document.activeElement).toBe(inputB);
+    expect(inputB.value).toBe('typed');
+
+    items([{ ...b, text: 'B2' }]);
+    expect(list()).toEqual(['B2']);
+    expect(Array.from(container.querySelectorAll('input'))).toEqual([inputB]);
+  });
+
+  it('reports lists created while rendering and renders their rows', async () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+    const items = val([a, b]);
+    createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      defineComponent(
+        () =>
+          html`<ul>
+            ${each(
+              items,
+              (item) => item.id,
+              (item) => html`<li>${item().text}</li>`
+            )}
+          </ul>`,
+        container
+      );
+    });
+    const list = () => Array.from(container.querySelectorAll('li'), (li) => li.textContent);
+    expect(list()).toEqual(['A', 'B']);
+
+    items([b, c]);
+    await delay();
+    expect(list()).toEqual(['B', 'C']);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatchObject({ code: 'ERR_EACH_IN_RENDER' });
+  });
+
+  it('renders its rows from scratch when the server markup has no markers', () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning) });
+    setRenderer(withHydration(adapter));
+    container.innerHTML = '<ul><li>A</li><li>B</li></ul>';
+
+    const items = val([a, b]);
+    createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      const rows = each(
+        items,
+        (item) => item.id,
+        (item) => html`<li>${item().text}</li>`
+      );
+      hydrateRender(
+        container,
+        html`<ul>
+          ${rows}
+        </ul>`
+      );
+    });
+    const list = () => Array.from(container.querySelectorAll('li'), (li) => li.textContent);
+    expect(list()).toEqual(['A', 'B']);
+    expect(warnings[0]).toMatchObject({ code: 'ERR_HYDRATION_MISMATCH' });
+
+    items([b, c]);
+    expect(list()).toEqual(['B', 'C']);
+  });
+
+  it('disposes removed rows and every row with its owner', () => {
+    const cleanups = [];
+    const items = val([a, b]);
+    mountList(items, (item) => {
+      onCleanup(() => cleanups.push(item().id));
+      return html`<li>${item().text}</li>`;
+    });
+
+    items([b]);
+    expect(cleanups).toEqual(['a']);
+    dispose();
+    expect(cleanups).toEqual(['a', 'b']);
+    items([a, b, c]);
+    expect(container.querySelectorAll('li')).toHaveLength(1);
+  });
+
+  it('warns about duplicate keys and skips the duplicates', () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning) });
+    mountList(() => [a, { id: 'a', text: 'A2' }, b]);
+
+    expect(texts()).toEqual(['A', 'B']);
+    expect(warnings[0]).toMatchObject({ code: 'ERR_DUPLICATE_KEY' });
+  });
+
+  it('keeps its rows when the template around it changes', () => {
+    const show = val(true);
+    createRoot((disposeRoot) => {
+      dispose = disposeRoot;
+      const rows = each(
+        () => [a, b],
+        (item) => item.id,
+        (item) => html`<li>${item().text}</li>`
+      );
+      run(() =>
+        render(
+          container,
+          show()
+            ? html`<ul>
+                ${rows}
+              </ul>`
+            : html`<p>hidden</p>`
+        )
+      );
+    });
+
+    show(false);
+    expect(container.querySelectorAll('li')).toHaveLength(0);
+    show(true);
+    expect(Array.from(container.querySelectorAll('li'), (li) => li.textContent)).toEqual([
+      'A',
+      'B',
+    ]);
+  });
+});
+
+describe('setRenderer', () => {
+  afterEach(() => {
+    setRenderer(null);
+    configure({ onError: null });
+  });
+
+  it('returns the adapter that was in use', () => {
+    expect(setRenderer(litHtmlAdapter)).toBe(null);
+    expect(setRenderer(uhtmlAdapter)).toBe(litHtmlAdapter);
+    expect(setRenderer(null)).toBe(uhtmlAdapter);
+  });
+
+  it('uses the adapter hydrate function when there is one', () => {
+    const adapter = { ...uhtmlAdapter, hydrate: vi.fn() };
+    setRenderer(adapter);
+    const container = document.createElement('div');
+    const template = html`<p></p>`;
+
+    hydrateRender(container, template);
+    expect(adapter.hydrate).toHaveBeenCalledWith(container, template);
+  });
+
+  it('rejects incomplete adapters and keeps the current one', () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+
+    setRenderer({ html: () => {}, render: () => {} });
+    expect(errors[0]).toMatchObject({ code: 'ERR_INVALID_ARGUMENT' });
+    expect(setRenderer(null)).toBe(null);
+  });
+});
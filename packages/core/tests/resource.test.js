@@ -0,0 +1,182 @@
+import { describe, it, expect, vi } from 'vitest';
+import { val, run, createRoot } from '../src/core/reactivity.js';
+import { resource } from '../src/core/resource.js';
+import { delay } from './setup.js';
+
+/**
+ * Creates a promise that can be settled from the test
+ * @returns {Object} Promise with resolve/reject functions
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('resource', () => {
+  it('loads data for the source value', async () => {
+    const id = val(1);
+    const fetcher = vi.fn(async (value) => ({ id: value }));
+    const user = resource(id, fetcher);
+
+    expect(user.loading()).toBe(true);
+    expect(user.data()).toBeUndefined();
+    expect(fetcher).toHaveBeenCalledWith(
+      1,
+      expect.objectContaining({ signal: expect.any(Object) })
+    );
+
+    await delay(0);
+    expect(user.loading()).toBe(false);
+    expect(user.data()).toEqual({ id: 1 });
+    expect(user.error()).toBeUndefined();
+  });
+
+  it('uses initialValue until the first response', () => {
+    const user = resource(val(1), () => new Promise(() => {}), { initialValue: [] });
+    expect(user.data()).toEqual([]);
+  });
+
+  it('refetches when the source changes and keeps previous data while loading', async () => {
+    const id = val(1);
+    const user = resource(id, async (value) => value * 10);
+    await delay(0);
+    expect(user.data()).toBe(10);
+
+    id(2);
+    expect(user.loading()).toBe(true);
+    expect(user.data()).toBe(10);
+
+    await delay(0);
+    expect(user.data()).toBe(20);
+    expect(user.loading()).toBe(false);
+  });
+
+  it('notifies runs reading its state', async () => {
+    const user = resource(val('ada'), async (name) => name.toUpperCase());
+    const spy = vi.fn();
+    run(() => spy(user.loading(), user.data()));
+
+    await delay(0);
+    expect(spy).toHaveBeenLastCalledWith(false, 'ADA');
+  });
+
+  it('aborts the previous request when the source changes', async () => {
+    const id = val(1);
+    const signals = [];
+    resource(id, (value, { signal }) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    });
+
+    id(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  it('discards stale responses', async () => {
+    const id = val(1);
+    const requests = {};
+    const user = resource(id, (value) => {
+      requests[value] = deferred();
+      return requests[value].promise;
+    });
+
+    id(2);
+    requests[2].resolve('second');
+    await delay(0);
+    requests[1].resolve('first');
+    await delay(0);
+
+    expect(user.data()).toBe('second');
+    expect(user.loading()).toBe(false);
+  });
+
+  it('exposes errors and clears them on the next success', async () => {
+    const id = val(1);
+    const failure = new Error('Not found');
+    const user = resource(id, async (value) => {
+      if (value === 1) throw failure;
+      return value;
+    });
+
+    await delay(0);
+    expect(user.error()).toBe(failure);
+    expect(user.loading()).toBe(false);
+
+    id(2);
+    await delay(0);
+    expect(user.error()).toBeUndefined();
+    expect(user.data()).toBe(2);
+  });
+
+  it('catches synchronous fetcher errors', async () => {
+    const user = resource(val(1), () => {
+      throw new Error('boom');
+    });
+    await delay(0);
+    expect(user.error().message).toBe('boom');
+  });
+
+  it('skips fetching while the source is null, undefined or false', async () => {
+    const id = val(null);
+    const fetcher = vi.fn(async (value) => value);
+    const user = resource(id, fetcher);
+
+    expect(fetcher).not.toHaveBeenCalled();
+    expect(user.loading()).toBe(false);
+
+    id(false);
+    id(undefined);
+    expect(fetcher).not.toHaveBeenCalled();
+
+    id(3);
+    await delay(0);
+    expect(user.data()).toBe(3);
+  });
+
+  it('refetch() repeats the request for the current source', async () => {
+    let count = 0;
+    const user = resource(val('key'), async () => ++count);
+    await delay(0);
+    expect(user.data()).toBe(1);
+
+    const result = await user.refetch();
+    expect(result).toBe(2);
+    expect(user.data()).toBe(2);
+  });
+
+  it('aborts and ignores the in-flight request when its scope is disposed', async () => {
+    const request = deferred();
+    let signal;
+    let user;
+    const dispose = createRoot((dispose) => {
+      user = resource(val(1), (value, options) => {
+        signal = options.signal;
+        return request.promise;
+      });
+      return dispose;
+    });
+
+    dispose();
+    expect(signal.aborted).toBe(true);
+
+    request.resolve('late');
+    await delay(0);
+    expect(user.data()).toBeUndefined();
+  });
+
+  it('logs an error for invalid arguments', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = resource(val(1));
+    expect(spy).toHaveBeenCalledWith(
+      '[frontjs] resource() requires a source function and a fetcher function.'
+    );
+    expect(user.data()).toBeUndefined();
+    spy.mockRestore();
+  });
+});
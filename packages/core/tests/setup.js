@@ -39,3 +39,19 @@ export function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Adds an island element to the end of the document body
+ * @param {string|null} component - data-component value (left out when null)
+ * @param {Object} [attrs] - Extra attributes
+ * @param {string} [inner] - Inner HTML (e.g. server markup or a fallback template)
+ * @returns {HTMLElement} Island element
+ */
+export function createIsland(component, attrs = {}, inner = '') {
+  const island = document.createElement('div');
+  island.setAttribute('data-island', '');
+  if (component) island.setAttribute('data-component', component);
+  Object.entries(attrs).forEach(([name, value]) => island.setAttribute(name, value));
+  island.innerHTML = inner;
+  document.body.appendChild(island);
+  return island;
+}
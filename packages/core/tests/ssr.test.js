@@ -0,0 +1,430 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  html,
+  val,
+  calc,
+  run,
+  each,
+  island,
+  renderToString,
+  renderToStream,
+  onMount,
+  configure,
+  setRenderer,
+  register,
+  hydrate,
+  getIsland,
+  render,
+} from '../src/server.js';
+import { readFileSync } from 'node:fs';
+import { html as litHtml } from 'lit-html';
+import { litHtmlAdapter } from '../src/adapters/lit-html.js';
+
+describe('renderToString', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('runs without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+  });
+
+  it('wraps the component in an island with its name and props', () => {
+    function Greeting(props) {
+      return () => html`<p>Hello ${props.name}</p>`;
+    }
+
+    expect(renderToString(Greeting, { name: 'Ada' })).toBe(
+      '<div data-island data-ssr data-component="Greeting" data-props="{&quot;name&quot;:&quot;Ada&quot;}"><p>Hello Ada</p></div>'
+    );
+  });
+
+  it('renders reactive state, calcs and nested templates', () => {
+    function List(props) {
+      const items = val(props.items);
+      const count = calc(() => items().length);
+      return () => html`
+        <ul data-count="${count()}">
+          ${items().map((item) => html`<li>${item}</li>`)}
+        </ul>
+      `;
+    }
+
+    const markup = renderToString(List, { items: ['a', 'b'] });
+    expect(markup.replace(/>\s+</g, '><')).toContain(
+      '<ul data-count="2"><li>a</li><li>b</li></ul>'
+    );
+  });
+
+  it('escapes text, attributes and props', () => {
+    function Unsafe(props) {
+      return () => html`<a title=${props.text} class="x ${props.text}">${props.text}</a>`;
+    }
+
+    const markup = renderToString(Unsafe, { text: `<script>"'&` });
+    expect(markup).toContain(
+      'data-props="{&quot;text&quot;:&quot;&lt;script&gt;\\&quot;&#39;&amp;&quot;}"'
+    );
+    expect(markup).toContain('title="&lt;script&gt;&quot;&#39;&amp;"');
+    expect(markup).toContain('class="x &lt;script&gt;&quot;&#39;&amp;"');
+    expect(markup).toContain('>&lt;script&gt;&quot;&#39;&amp;</a>');
+    expect(markup).not.toContain('<script>');
+  });
+
+  it('follows the client attribute rules', () => {
+    function Attributes() {
+      return () =>
+        html`<button
+          onclick=${() => {}}
+          .value=${'prop'}
+          ?disabled=${true}
+          ?hidden=${false}
+          aria=${{ role: 'tab', selected: true }}
+          data=${{ userId: 7 }}
+          title=${null}
+          id="${'save'}"
+        >
+          Save
+        </button>`;
+    }
+
+    const markup = renderToString(Attributes, {});
+    const start = markup.indexOf('<button');
+    const button = markup.slice(start, markup.indexOf('>', start));
+    expect(button.replace(/\s+/g, ' ').trim()).toBe(
+      '<button disabled role="tab" aria-selected="true" data-user-id="7" id="save"'
+    );
+  });
+
+  it('skips spread keys that are not valid attribute names', () => {
+    const warnings = [];
+    configure({ onWarn: (warning) => warnings.push(warning) });
+    function Spread() {
+      return () =>
+        html`<p data=${{ 'x><script>alert(1)</script': 1, ok: 2 }} aria=${{ 'a b': 3 }}></p>`;
+    }
+
+    const markup = renderToString(Spread, {});
+    configure({ onWarn: null });
+    expect(markup).toContain('<p data-ok="2"></p>');
+    expect(markup).not.toContain('<script>');
+    expect(warnings.map((warning) => warning.code)).toEqual([
+      'ERR_INVALID_ATTRIBUTE',
+      'ERR_INVALID_ATTRIBUTE',
+    ]);
+  });
+
+  it('renders nothing for null, undefined, functions and holes in comments', () => {
+    function Empty() {
+      return () => html`<p>${null}${undefined}${() => 'x'}<!-- ${'hidden'} --></p>`;
+    }
+
+    expect(renderToString(Empty, {})).toContain('<p><!--  --></p>');
+  });
+
+  it('disposes runs created during setup and ignores lifecycle hooks', () => {
+    const source = val(0);
+    const spy = vi.fn();
+    const mounted = vi.fn();
+    function WithRun() {
+      run(() => spy(source()));
+      onMount(mounted);
+      return () => html`<p></p>`;
+    }
+
+    renderToString(WithRun, {});
+    source(1);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(mounted).not.toHaveBeenCalled();
+  });
+
+  it('renders each() rows in list order between the client markers', () => {
+    function Todos(props) {
+      const rows = each(
+        () => props.todos,
+        (todo) => todo.id,
+        (todo, index) => html`<li>${index() + 1}. ${todo().text}</li>`
+      );
+      return () =>
+        html`<ul>
+          ${rows}
+        </ul>`;
+    }
+
+    const markup = renderToString(Todos, {
+      todos: [
+        { id: 7, text: 'Write' },
+        { id: 3, text: 'Ship' },
+      ],
+    });
+    // The client each() adopts the rows by the same markers
+    expect(markup.replace(/>\s+</g, '><')).toContain(
+      '<ul><!--each--><!----><li>1. Write</li><!----><li>2. Ship</li><!--/each--></ul>'
+    );
+  });
+
+  it('accepts name, id, hydrate and tag options', () => {
+    const markup = renderToString(
+      () => () => html`x`,
+      {},
+      {
+        name: 'Anonymous',
+        id: 'hero',
+        hydrate: 'visible',
+        tag: 'section',
+      }
+    );
+    expect(markup).toBe(
+      '<section data-island data-ssr data-component="Anonymous" data-props="{}" id="hero" data-hydrate="visible">x</section>'
+    );
+  });
+
+  it('renders an empty island when the component throws', () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+    function Broken() {
+      throw new Error('setup failed');
+    }
+
+    expect(renderToString(Broken, {})).toBe(
+      '<div data-island data-ssr data-component="Broken" data-props="{}"></div>'
+    );
+    expect(errors[0]).toMatchObject({ code: 'ERR_COMPONENT_SETUP', component: 'Broken' });
+    configure({ onError: null });
+  });
+
+  it('rejects invalid component names', () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(renderToString(() => () => html``, {}, { name: 'bad name' })).toBe('');
+    expect(spy.mock.calls[0][0]).toContain('renderToString() requires');
+  });
+
+  it('reports props that cannot be serialized', () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+    const setup = vi.fn(() => () => html`<p>Hi</p>`);
+    function Card(props) {
+      return setup(props);
+    }
+    const cyclic = {};
+    cyclic.self = cyclic;
+
+    expect(renderToString(Card, cyclic)).toBe('');
+    expect(renderToString(Card, { count: 1n })).toBe('');
+    expect(setup).not.toHaveBeenCalled();
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatchObject({ code: 'ERR_PROPS_JSON', component: 'Card' });
+    expect(errors[1].cause).toBeInstanceOf(TypeError);
+    configure({ onError: null });
+  });
+});
+
+describe('setRenderer', () => {
+  afterEach(() => {
+    setRenderer(null);
+    configure({ onError: null });
+  });
+
+  it('renders templates of the adapter it sets', () => {
+    expect(setRenderer(litHtmlAdapter)).toBe(null);
+    function Note(props) {
+      return () =>
+        litHtml`<p class=${props.tone} @click=${() => {}}>${props.text}${litHtml`<b>!</b>`}</p>`;
+    }
+
+    expect(renderToString(Note, { tone: 'info', text: '<Hi>' })).toContain(
+      '><p class="info">&lt;Hi&gt;<b>!</b></p></div>'
+    );
+  });
+
+  it('renders nothing for templates without an adapter', () => {
+    expect(renderToString(() => () => litHtml`<p>Hi</p>`, {}, { name: 'Note' })).toContain(
+      '></div>'
+    );
+  });
+
+  it('rejects adapters without renderToString', () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+
+    setRenderer({ html: () => {}, render: () => {} });
+    expect(errors[0]).toMatchObject({ code: 'ERR_INVALID_ARGUMENT' });
+    expect(setRenderer(null)).toBe(null);
+  });
+});
+
+describe('renderToStream', () => {
+  /**
+   * Reads a stream to its decoded chunks
+   * @param {ReadableStream} stream - renderToStream() output
+   * @returns {Promise<string[]>} Chunks in the order they were sent
+   */
+  const readChunks = async (stream) => {
+    const decoder = new TextDecoder();
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(decoder.decode(chunk));
+    return chunks;
+  };
+
+  /**
+   * Returns a promise with its resolve and reject functions
+   * @returns {{promise: Promise, resolve: Function, reject: Function}} Deferred
+   */
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  function Box(props) {
+    return () => html`<p>${props.label}</p>`;
+  }
+
+  afterEach(() => {
+    configure({ onError: null });
+  });
+
+  it('renders islands with plain props in place', async () => {
+    const page = html`<main>${island(Box, { label: 'Now' })}</main>`;
+    expect(await readChunks(renderToStream(page))).toEqual([
+      '<main><div data-island data-ssr data-component="Box" data-props="{&quot;label&quot;:&quot;Now&quot;}"><p>Now</p></div></main>',
+    ]);
+  });
+
+  it('flushes the shell before async islands resolve', async () => {
+    const slow = deferred();
+    const page = html`<body>
+      ${island(Box, slow.promise, { fallback: html`<p>Loading</p>` })}
+    </body>`;
+    const reader = renderToStream(page).getReader();
+    const decoder = new TextDecoder();
+
+    const shell = decoder.decode((await reader.read()).value);
+    expect(shell).toContain('<div data-front-placeholder="1"><p>Loading</p></div>');
+    expect(shell).not.toContain('</body>');
+
+    slow.resolve({ label: 'Later' });
+    const swap = decoder.decode((await reader.read()).value);
+    expect(swap).toMatch(/^<script>window.__frontSwap=/);
+    const chunk = decoder.decode((await reader.read()).value);
+    expect(chunk).toBe(
+      '<template data-front-chunk="1"><div data-island data-ssr data-component="Box" data-props="{&quot;label&quot;:&quot;Later&quot;}"><p>Later</p></div></template><script>__frontSwap("1")</script>'
+    );
+    expect(decoder.decode((await reader.read()).value)).toBe('</body>');
+    expect((await reader.read()).done).toBe(true);
+  });
+
+  it('sends chunks in the order their props resolve', async () => {
+    const first = deferred();
+    const second = deferred();
+    const page = html`${island(Box, first.promise)}${island(Box, second.promise)}`;
+    const chunks = readChunks(renderToStream(page));
+
+    second.resolve({ label: 'second' });
+    await Promise.resolve();
+    first.resolve({ label: 'first' });
+    const ids = (await chunks)
+      .map((chunk) => /data-front-chunk="(\d+)"/.exec(chunk))
+      .filter(Boolean)
+      .map((match) => match[1]);
+    expect(ids).toEqual(['2', '1']);
+  });
+
+  it('streams async islands nested in streamed islands', async () => {
+    function Outer(props) {
+      return () => html`<section>${island(Box, Promise.resolve({ label: props.label }))}</section>`;
+    }
+    const chunks = await readChunks(
+      renderToStream(html`${island(Outer, Promise.resolve({ label: 'inner' }))}`)
+    );
+    const markup = chunks.join('');
+    expect(markup).toContain('<section><div data-front-placeholder="2"></div></section>');
+    expect(markup).toContain('<template data-front-chunk="2">');
+    expect(markup).toContain('<p>inner</p>');
+  });
+
+  it('keeps the fallback and reports rejected props', async () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+    const failure = new Error('database down');
+    const page = html`${island(Box, Promise.reject(failure), { fallback: 'Unavailable' })}`;
+
+    expect(await readChunks(renderToStream(page))).toEqual([
+      '<div data-front-placeholder="1">Unavailable</div>',
+    ]);
+    expect(errors).toEqual([
+      {
+        code: 'ERR_ASYNC_ISLAND',
+        message: 'Error loading the props of a streamed island:',
+        component: 'Box',
+        cause: failure,
+      },
+    ]);
+  });
+
+  it('adds the nonce to inline scripts', async () => {
+    const page = html`${island(Box, Promise.resolve({ label: 'x' }))}`;
+    const chunks = await readChunks(renderToStream(page, { nonce: 'r4nd"m' }));
+    const scripts = chunks.join('').match(/<script[^>]*>/g);
+    expect(scripts).toEqual(['<script nonce="r4nd&quot;m">', '<script nonce="r4nd&quot;m">']);
+  });
+
+  it('renders only the fallback for async islands outside a stream', () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+    const page = html`${island(Box, new Promise(() => {}), { fallback: 'Loading' })}`;
+
+    expect(renderToString(() => () => page, {}, { name: 'Page' })).toContain('>Loading</div>');
+    expect(errors[0]).toMatchObject({ code: 'ERR_ASYNC_ISLAND', component: 'Box' });
+  });
+});
+
+describe('server entry', () => {
+  afterEach(() => {
+    configure({ onError: null });
+  });
+
+  it('is what the package resolves to in Node', async () => {
+    const core = await import('@front.js/core');
+    expect(core.renderToString).toBe(renderToString);
+  });
+
+  it('is what the browser-only entries resolve to in Node', async () => {
+    const server = await import('../src/server.js');
+    const entries = await Promise.all([
+      import('@front.js/core/each'),
+      import('@front.js/core/lazy'),
+      import('@front.js/core/observe'),
+      import('@front.js/core/strategies'),
+      import('@front.js/core/props'),
+      import('@front.js/core/fallbacks'),
+    ]);
+    entries.forEach((entry) => expect(entry).toBe(server));
+    expect(server.observe()).toBeTypeOf('function');
+  });
+
+  it('has every export of the browser entry', async () => {
+    const server = await import('../src/server.js');
+    const source = readFileSync(new URL('../src/index.js', import.meta.url), 'utf-8');
+    const names = Array.from(source.matchAll(/export \{([^}]*)\}/g)).flatMap((match) =>
+      match[1].split(',').map((name) => name.trim())
+    );
+    expect(names.filter((name) => !(name in server))).toEqual([]);
+  });
+
+  it('loads browser component modules without hydrating anything', async () => {
+    const errors = [];
+    configure({ onError: (error) => errors.push(error) });
+
+    register('Box', () => () => html`<p></p>`);
+    expect(await hydrate()).toEqual({ hydrated: [], skipped: [], invalid: [], failed: [] });
+    expect(getIsland(null)).toBe(null);
+    render(null, html`<p></p>`);
+    expect(errors[0]).toMatchObject({ code: 'ERR_NO_DOM' });
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect, vi } from 'vitest';
+import { run, calc } from '../src/core/reactivity.js';
+import { store, produce, reconcile } from '../src/core/store.js';
+
+describe('store', () => {
+  describe('tracking', () => {
+    it('reads nested values', () => {
+      const [state] = store({ user: { name: 'Ada' }, tags: ['a', 'b'] });
+      expect(state.user.name).toBe('Ada');
+      expect(state.tags[1]).toBe('b');
+      expect(state.tags.length).toBe(2);
+    });
+
+    it('tracks each property separately', () => {
+      const [state, setState] = store({ a: 1, b: 2 });
+      const spyA = vi.fn();
+      const spyB = vi.fn();
+
+      run(() => spyA(state.a));
+      run(() => spyB(state.b));
+
+      setState('a', 10);
+      expect(spyA).toHaveBeenCalledTimes(2);
+      expect(spyA).toHaveBeenLastCalledWith(10);
+      expect(spyB).toHaveBeenCalledTimes(1);
+    });
+
+    it('tracks nested properties', () => {
+      const [state, setState] = store({ todos: [{ id: 1, done: false }, { id: 2, done: false }] });
+      const first = vi.fn();
+      const second = vi.fn();
+
+      run(() => first(state.todos[0].done));
+      run(() => second(state.todos[1].done));
+
+      setState('todos', 1, 'done', true);
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(2);
+      expect(second).toHaveBeenLastCalledWith(true);
+    });
+
+    it('does not notify when the value is unchanged', () => {
+      const [state, setState] = store({ count: 1 });
+      const spy = vi.fn();
+
+      run(() => spy(state.count));
+      setState('count', 1);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies on in-place array mutation', () => {
+      const [state] = store({ items: [1, 2, 3] });
+      const spy = vi.fn();
+
+      run(() => spy(state.items.length));
+      state.items.push(4);
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveBeenLastCalledWith(4);
+    });
+
+    it('notifies iteration when keys are added or removed', () => {
+      const [state] = store({ filters: { a: true } });
+      const spy = vi.fn();
+
+      run(() => spy(Object.keys(state.filters)));
+      state.filters.b = true;
+      delete state.filters.a;
+
+      expect(spy).toHaveBeenCalledTimes(3);
+      expect(spy).toHaveBeenLastCalledWith(['b']);
+    });
+
+    it('notifies readers of indices removed by shrinking an array', () => {
+      const [state] = store({ items: [1, 2, 3] });
+      const spy = vi.fn();
+
+      run(() => spy(state.items[2]));
+      state.items.length = 1;
+
+      expect(spy).toHaveBeenLastCalledWith(undefined);
+    });
+
+    it('works with calc', () => {
+      const [state, setState] = store({ items: [{ price: 2 }, { price: 3 }] });
+      const total = calc(() => state.items.reduce((sum, item) => sum + item.price, 0));
+
+      expect(total()).toBe(5);
+      setState('items', 0, 'price', 10);
+      expect(total()).toBe(13);
+    });
+
+    it('returns the same proxy for the same nested object', () => {
+      const [state] = store({ user: { name: 'Ada' } });
+      expect(state.user).toBe(state.user);
+    });
+
+    it('rejects non-object initial values', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const [state] = store(42);
+      expect(state).toEqual({});
+      expect(consoleError.mock.calls[0][0]).toContain('store() requires');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('setState', () => {
+    it('accepts updater functions', () => {
+      const [state, setState] = store({ count: 1 });
+      setState('count', (count) => count + 1);
+      expect(state.count).toBe(2);
+    });
+
+    it('shallow-merges plain objects', () => {
+      const [state, setState] = store({ user: { name: 'Ada', role: 'admin' } });
+      setState('user', { name: 'Grace' });
+      expect(state.user).toEqual({ name: 'Grace', role: 'admin' });
+    });
+
+    it('merges into the root', () => {
+      const [state, setState] = store({ a: 1, b: 2 });
+      setState({ b: 3 });
+      expect(state).toEqual({ a: 1, b: 3 });
+    });
+
+    it('replaces arrays', () => {
+      const [state, setState] = store({ items: [1, 2, 3] });
+      setState('items', [4]);
+      expect(state.items).toEqual([4]);
+    });
+
+    it('batches writes made by one call', () => {
+      const [state, setState] = store({ user: { first: 'Ada', last: 'Byron' } });
+      const spy = vi.fn();
+
+      run(() => spy(`${state.user.first} ${state.user.last}`));
+      setState('user', { first: 'Grace', last: 'Hopper' });
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveBeenLastCalledWith('Grace Hopper');
+    });
+
+    it('reports paths that do not point to an object', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const [state, setState] = store({ count: 1 });
+
+      setState('count', 'nested', 5);
+
+      expect(state.count).toBe(1);
+      expect(consoleError.mock.calls[0][0]).toContain('does not point to an object');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('produce', () => {
+    it('mutates a draft through the proxy', () => {
+      const [state, setState] = store({ todos: [{ id: 1, done: false }] });
+      const spy = vi.fn();
+
+      run(() => spy(state.todos.length));
+      setState(
+        'todos',
+        produce((todos) => {
+          todos.push({ id: 2, done: false });
+          todos[0].done = true;
+        })
+      );
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(state.todos[0].done).toBe(true);
+      expect(state.todos[1].id).toBe(2);
+    });
+  });
+
+  describe('reconcile', () => {
+    it('keeps identity of items matched by key', () => {
+      const [state, setState] = store({ todos: [{ id: 1, text: 'a' }, { id: 2, text: 'b' }] });
+      const second = state.todos[1];
+
+      setState('todos', reconcile([{ id: 2, text: 'b' }, { id: 3, text: 'c' }]));
+
+      expect(state.todos[0]).toBe(second);
+      expect(state.todos.map((todo) => todo.id)).toEqual([2, 3]);
+    });
+
+    it('only notifies properties whose value changed', () => {
+      const [state, setState] = store({ todos: [{ id: 1, text: 'a' }, { id: 2, text: 'b' }] });
+      const first = vi.fn();
+      const second = vi.fn();
+
+      run(() => first(state.todos[0].text));
+      run(() => second(state.todos[1].text));
+
+      setState('todos', reconcile([{ id: 1, text: 'a' }, { id: 2, text: 'B' }]));
+
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(2);
+      expect(second).toHaveBeenLastCalledWith('B');
+    });
+
+    it('removes keys missing from the new data', () => {
+      const [state, setState] = store({ a: 1, b: 2 });
+      setState(reconcile({ a: 1 }));
+      expect(state).toEqual({ a: 1 });
+    });
+
+    it('supports a custom key', () => {
+      const [state, setState] = store({ rows: [{ slug: 'x', n: 1 }] });
+      const row = state.rows[0];
+
+      setState('rows', reconcile([{ slug: 'y', n: 0 }, { slug: 'x', n: 2 }], { key: 'slug' }));
+
+      expect(state.rows[1]).toBe(row);
+      expect(row.n).toBe(2);
+    });
+  });
+});
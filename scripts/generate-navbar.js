@@ -4,7 +4,8 @@
  * generate-navbar.js
  *
  * Generates server-rendered NavBar HTML and injects it into website pages.
- * This ensures props and server HTML always match (single source of truth).
+ * The island comes from renderToString() with the same NavBar component the
+ * browser hydrates, so props and server HTML always match (single source of truth).
  *
  * Usage:
  *   node scripts/generate-navbar.js
@@ -18,7 +19,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { renderNavBar } from '../website/components/NavBar.server.js';
+import { renderToString } from '@front.js/core';
+import { NavBar } from '../website/components/NavBar.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,26 +52,13 @@ for (const pageConfig of config.pages) {
 
     let html = fs.readFileSync(fullPath, 'utf-8');
 
-    // Generate server-rendered NavBar HTML
-    const navbarHTML = renderNavBar({ links, activePath });
-
-    // Generate data-props JSON (single-line, properly escaped)
-    const dataPropsJSON = JSON.stringify({ links });
-
-    // Build replacement island
-    // Match the indentation style of the existing files
-    const replacement = `<div
-      data-island
-      data-component="NavBar"
-      data-props='${dataPropsJSON}'
-    >
-      ${navbarHTML}
-    </div>`;
+    // Render the NavBar island (wrapper, data-props and server HTML)
+    const replacement = renderToString(NavBar, { links, activePath });
 
     // Find and replace the NavBar island
-    // Pattern matches: <div data-island data-component="NavBar" ...>...</div>
+    // Pattern matches: <div data-island ... data-component="NavBar" ...><nav ...>...</nav></div>
     // This regex handles multi-line islands with any content inside
-    const navbarIslandRegex = /<div[^>]*data-island[^>]*data-component="NavBar"[^>]*>[\s\S]*?<\/div>\s*(?=\n\s*<)/;
+    const navbarIslandRegex = /<div[^>]*data-island[^>]*data-component="NavBar"[^>]*>[\s\S]*?<\/nav>\s*<\/div>/;
 
     if (!navbarIslandRegex.test(html)) {
       console.error(`  ❌ No NavBar island found in ${pagePath}`);
@@ -31,6 +31,16 @@ console.log('╔═════════════════════
 console.log('║  NavBar Validation Check                              ║');
 console.log('╚═══════════════════════════════════════════════════════╝\n');
 
+/**
+ * Reverses the escaping renderToString() applies to attribute values
+ * @param {string} value - Escaped attribute value
+ * @returns {string} Unescaped value
+ */
+function unescapeHtml(value) {
+  const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+  return value.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => entities[entity]);
+}
+
 let errors = [];
 let warnings = [];
 let checkedCount = 0;
@@ -49,8 +59,8 @@ for (const pageConfig of config.pages) {
 
   const html = fs.readFileSync(fullPath, 'utf-8');
 
-  // Extract data-props
-  const propsMatch = html.match(/data-component="NavBar"\s+data-props='([^']*)'/);
+  // Extract data-props (HTML-escaped by renderToString())
+  const propsMatch = html.match(/data-component="NavBar"\s+data-props="([^"]*)"/);
   if (!propsMatch) {
     errors.push(`${pagePath}: No NavBar data-props found`);
     continue;
@@ -59,7 +69,7 @@ for (const pageConfig of config.pages) {
   // Validate JSON
   let dataProps;
   try {
-    dataProps = JSON.parse(propsMatch[1]);
+    dataProps = JSON.parse(unescapeHtml(propsMatch[1]));
   } catch (e) {
     errors.push(`${pagePath}: Invalid JSON in data-props - ${e.message}`);
     continue;
@@ -1,21 +1,25 @@
 
-import { html } from 'uhtml';
-import { val } from '../front.esm.js';
+import { html, val } from '@front.js/core';
 
 /**
  * NavBar Component
- * Mobile-friendly responsive navigation bar
+ * Mobile-friendly responsive navigation bar. The same module renders in the
+ * browser and, through renderToString(), in Node (see scripts/generate-navbar.js).
+ * @param {Object} props - Component props
+ * @param {Array} props.links - Array of {label, url} objects
+ * @param {string} [props.activePath] - Current page path; defaults to the page location
  */
 export function NavBar(props) {
   const isOpen = val(false);
   const links = props.links || [];
-  const currentPath = window.location.pathname;
+  const currentPath = props.activePath || window.location.pathname;
 
   // Helper to check if link is active
   const isLinkActive = (linkUrl) => {
     if (linkUrl.startsWith('http')) return false; // External links
     const normalizedCurrent = currentPath.replace(/\/$/, '') || '/';
-    const resolvedLink = new URL(linkUrl, window.location.href).pathname;
+    // Relative links resolve against the page path; the origin doesn't matter
+    const resolvedLink = new URL(linkUrl, `http://localhost${currentPath}`).pathname;
     const normalizedLink = resolvedLink.replace(/\/$/, '') || '/';
     return normalizedCurrent === normalizedLink;
   };
@@ -47,34 +47,5 @@ export function ServerUptime(props) {
   `;
 }
 
-/**
- * Global HTMX cleanup handler
- * This ensures all front.js islands are disposed before HTMX swaps content.
- * 
- * CRITICAL: This must be set up once at app initialization.
- * Without this, timers and event listeners will leak memory!
- */
-document.body.addEventListener('htmx:beforeCleanup', (event) => {
-  console.log('[front.js] 🧹 HTMX beforeCleanup event detected');
-  
-  // Walk the target and all its children to find islands
-  const target = event.target;
-  const islands = target.querySelectorAll('[data-island]');
-  
-  console.log(`[front.js] Found ${islands.length} island(s) to dispose`);
-  
-  islands.forEach((island) => {
-    if (island._front_dispose) {
-      console.log(`[front.js] Disposing island: ${island.getAttribute('data-component')}`);
-      island._front_dispose();
-    }
-  });
-  
-  // Also check if the target itself is an island
-  if (target._front_dispose) {
-    console.log(`[front.js] Disposing target: ${target.getAttribute('data-component')}`);
-    target._front_dispose();
-  }
-});
-
-console.log('[front.js] ✅ HTMX integration module loaded - cleanup handler registered');
+// No HTMX glue needed: the page calls observe(), which hydrates islands
+// HTMX swaps in and disposes the ones it swaps out (clearing their timers).